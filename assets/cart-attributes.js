@@ -0,0 +1,188 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+import { cartQueue, CartOfflineError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+
+/**
+ * @typedef {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} AttributeField
+ */
+
+/**
+ * A custom element that saves its `attributes[...]` fields to the cart.
+ *
+ * Fields are saved as the shopper fills them in, restored from the cart when the page loads, and required
+ * fields are validated before the shopper can go to checkout.
+ *
+ * @typedef {Object} CartAttributesRefs
+ * @property {HTMLElement} error - The element save failures are reported in.
+ * @property {AttributeField[]} fields - The fields bound to cart attributes.
+ *
+ * @extends {Component<CartAttributesRefs>}
+ */
+class CartAttributesComponent extends Component {
+  requiredRefs = ['error'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /**
+   * The value of each attribute the fields were last synced with the cart with, by name
+   * @type {Map<string, string>}
+   */
+  #synced = new Map();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribe((cart) => cart.attributes, this.#restore);
+    document.addEventListener('click', this.#onCheckoutClick, { capture: true });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    document.removeEventListener('click', this.#onCheckoutClick, { capture: true });
+  }
+
+  /**
+   * The fields bound to cart attributes.
+   * @returns {AttributeField[]}
+   */
+  get fields() {
+    return this.refs.fields ?? [];
+  }
+
+  /**
+   * Saves the attributes once the shopper stops typing.
+   */
+  updateAttributes = debounce(async () => {
+    const { error } = this.refs;
+    const attributes = this.#values();
+
+    try {
+      const cart = await cartQueue.enqueue({
+        type: 'update',
+        body: { attributes },
+        sourceId: this.id,
+        // Only the latest values of the same fields need to be sent.
+        coalesceKey: `attributes:${Object.keys(attributes).join(',')}`,
+      });
+
+      if (cart.status || cart.errors) {
+        throw new Error(cart.description ?? cart.message);
+      }
+
+      error.hidden = true;
+      cartStore.set(cart);
+    } catch (saveError) {
+      error.textContent = saveError instanceof CartOfflineError ? saveError.message : this.dataset.errorText ?? '';
+      error.hidden = false;
+    }
+  }, 200);
+
+  /**
+   * Checks the required fields, and reports the first invalid one.
+   * @returns {boolean} Whether every field is valid.
+   */
+  validate() {
+    const invalidField = this.fields.find((field) => !field.checkValidity());
+
+    if (!invalidField) return true;
+
+    // The fields can be collapsed in an accordion
+    const details = invalidField.closest('details');
+    if (details) details.open = true;
+
+    invalidField.reportValidity();
+
+    return false;
+  }
+
+  /**
+   * Reads the attribute values from the fields. Unchecked checkboxes clear their attribute.
+   * @returns {Record<string, string>} The attributes, by name.
+   */
+  #values() {
+    /** @type {Record<string, string>} */
+    const attributes = {};
+
+    for (const field of this.fields) {
+      const name = getAttributeName(field);
+      if (!name) continue;
+
+      attributes[name] = getFieldValue(field);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Fills the fields with the attributes saved on the cart. The field the shopper is editing, and the fields changed
+   * since they were last synced, are left untouched, so an older save response can't overwrite a pending edit.
+   * @param {Record<string, string> | undefined} attributes - The cart attributes.
+   */
+  #restore = (attributes) => {
+    for (const field of this.fields) {
+      const name = getAttributeName(field);
+      if (!name || field === document.activeElement) continue;
+
+      const value = attributes?.[name] ?? '';
+      const synced = this.#synced.get(name);
+
+      if (synced !== undefined && synced !== getFieldValue(field) && value !== getFieldValue(field)) continue;
+
+      this.#synced.set(name, value);
+
+      if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+        field.checked = value !== '';
+      } else {
+        field.value = value;
+      }
+    }
+  };
+
+  /**
+   * Stops the shopper from going to checkout while required fields are empty.
+   * @param {MouseEvent} event - The click event.
+   */
+  #onCheckoutClick = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const checkoutControl = event.target.closest('[name="checkout"], a[href*="/checkout"]');
+    if (!checkoutControl) return;
+
+    // Only validate the fields of the cart the checkout control belongs to.
+    const scope = this.closest('.shopify-section');
+    if (scope && !scope.contains(checkoutControl)) return;
+
+    if (this.validate()) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  };
+}
+
+if (!customElements.get('cart-attributes-component')) {
+  customElements.define('cart-attributes-component', CartAttributesComponent);
+}
+
+/**
+ * Gets the name of the cart attribute a field is bound to.
+ * @param {AttributeField} field - The field.
+ * @returns {string | undefined} The attribute name, e.g. `Gift message` for `attributes[Gift message]`.
+ */
+function getAttributeName(field) {
+  return field.name.match(/^attributes\[(.+)\]$/)?.[1];
+}
+
+/**
+ * Gets the attribute value of a field. Unchecked checkboxes clear their attribute.
+ * @param {AttributeField} field - The field.
+ * @returns {string} The value.
+ */
+function getFieldValue(field) {
+  if (field instanceof HTMLInputElement && field.type === 'checkbox') return field.checked ? field.value : '';
+
+  return field.value;
+}
@@ -1,44 +1,68 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartQueue, CartOfflineError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { getCartSectionIds, onDocumentLoaded } from '@theme/utilities';
 
 /**
- * A custom element that applies a discount to the cart.
+ * @typedef {import('@theme/cart-store').CartState} CartState
+ */
+
+/**
+ * Why a code was or wasn't applied:
+ * - `applied`: the code reduces the cart total.
+ * - `shipping`: the code is valid but only reduces shipping, which is calculated at checkout.
+ * - `combination`: the code can't be combined with the codes it's listed with in `conflicts`.
+ * - `already_used`: the code applied to a previous cart of the shopper, which was checked out.
+ * - `minimum`: the code applied to this cart when its subtotal was higher.
+ * - `not_eligible`: the code applied to this cart before some of its items were removed.
+ * - `not_applicable`: the code doesn't apply to the cart for another reason, e.g. it doesn't exist.
  *
- * @typedef {Object} CartDiscountComponentRefs
- * @property {HTMLElement} cartDiscountError - The error element.
- * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
- * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * The cart response only tells whether a code applies, so the reasons are told apart by comparing the cart with the
+ * last cart the code applied to, see `recordApplicableCodes`.
+ *
+ * @typedef {'applied' | 'shipping' | 'combination' | 'already_used' | 'minimum' | 'not_eligible' | 'not_applicable'} DiscountCodeStatus
  */
 
 /**
- * @extends {Component<CartDiscountComponentRefs>}
+ * @typedef {Object} DiscountCodeCart
+ * @property {string} token - The token of the cart.
+ * @property {number} subtotal - The subtotal of the items, in cents.
+ * @property {number[]} variantIds - The variants in the cart.
  */
-class CartDiscount extends Component {
-  requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
 
-  /** @type {AbortController | null} */
-  #activeFetch = null;
+/** @constant {string} The key used to store the last cart each code applied to in local storage */
+const APPLIED_CODES_STORAGE_KEY = 'discountCodeCarts';
 
-  #createAbortController() {
-    if (this.#activeFetch) {
-      this.#activeFetch.abort();
-    }
+/**
+ * @typedef {Object} DiscountCodeDiagnostic
+ * @property {string} code - The discount code.
+ * @property {DiscountCodeStatus} status - Why the code was or wasn't applied.
+ * @property {boolean} applicable - Whether the code is applied to the cart.
+ * @property {string[]} conflicts - The codes this code can't be combined with.
+ */
 
-    const abortController = new AbortController();
-    this.#activeFetch = abortController;
-    return abortController;
-  }
+/**
+ * A custom element that applies discounts to the cart.
+ *
+ * @typedef {Object} CartDiscountComponentRefs
+ * @property {HTMLElement} cartDiscountErrors - The list the per-code errors are rendered in.
+ * @property {HTMLTemplateElement} cartDiscountErrorTemplate - The template of a per-code error.
+ */
+
+/**
+ * @extends {Component<CartDiscountComponentRefs>}
+ */
+class CartDiscount extends Component {
+  requiredRefs = ['cartDiscountErrors', 'cartDiscountErrorTemplate'];
 
   /**
-   * Handles updates to the cart note.
+   * Applies the codes entered in the form. Several codes can be separated by commas.
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-
     event.preventDefault();
     event.stopPropagation();
 
@@ -48,71 +72,34 @@ class CartDiscount extends Component {
     const discountCode = form.querySelector('input[name="discount"]');
     if (!(discountCode instanceof HTMLInputElement) || typeof this.dataset.sectionId !== 'string') return;
 
-    const discountCodeValue = discountCode.value;
+    const existingDiscounts = this.#existingDiscounts();
+    const codes = parseDiscountCodes(discountCode.value).filter((code) => !existingDiscounts.includes(code));
+    if (!codes.length) return;
 
-    const abortController = this.#createAbortController();
+    this.#renderErrors([]);
 
     try {
-      const existingDiscounts = this.#existingDiscounts();
-      if (existingDiscounts.includes(discountCodeValue)) return;
-
-      cartDiscountError.classList.add('hidden');
-      cartDiscountErrorDiscountCode.classList.add('hidden');
-      cartDiscountErrorShipping.classList.add('hidden');
-
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      const { data, diagnostics } = await applyDiscountCodes(codes, existingDiscounts, this.id, [
+        this.dataset.sectionId,
+      ]);
 
-      const data = await response.json();
+      const failures = diagnostics.filter((diagnostic) => diagnostic.status !== 'applied');
 
-      if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-          return discount.code === discountCodeValue && discount.applicable === false;
-        })
-      ) {
-        discountCode.value = '';
-        this.#handleDiscountError('discount_code');
+      if (!diagnostics.some((diagnostic) => diagnostic.applicable)) {
+        // None of the codes changed the cart, leave it as is.
+        this.#renderErrors(failures);
         return;
       }
 
-      const newHtml = data.sections[this.dataset.sectionId];
-      const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
-      const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
-      const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
-      if (section) {
-        const codes = Array.from(discountCodes)
-          .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : null))
-          .filter(Boolean);
-        // Before morphing, we need to check if the shipping discount is applicable in the UI
-        // we check the liquid logic compared to the cart payload to assess whether we leveraged
-        // a valid shipping discount code.
-        if (
-          codes.length === existingDiscounts.length &&
-          codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-            return discount.code === discountCodeValue && discount.applicable === true;
-          })
-        ) {
-          this.#handleDiscountError('shipping');
-          discountCode.value = '';
-          return;
-        }
-      }
-
+      discountCode.value = '';
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, newHtml);
+      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId], {
+        sequence: cartQueue.sequenceOf(data),
+      });
+      this.#renderErrors(failures);
     } catch (error) {
+      this.#renderRequestError(error);
     } finally {
-      this.#activeFetch = null;
       cartPerformance.measureFromEvent('discount-update:user-action', event);
     }
   };
@@ -146,38 +133,93 @@ class CartDiscount extends Component {
 
     existingDiscounts.splice(index, 1);
 
-    const abortController = this.#createAbortController();
-
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
+      const data = await cartQueue.enqueue({
+        type: 'update',
+        body: { discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] },
+        sourceId: this.id,
       });
 
-      const data = await response.json();
-
+      this.#renderErrors([]);
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId], {
+        sequence: cartQueue.sequenceOf(data),
+      });
     } catch (error) {
-    } finally {
-      this.#activeFetch = null;
+      this.#renderRequestError(error);
     }
   };
 
   /**
-   * Handles the discount error.
+   * Renders an error for each code that wasn't applied.
+   * The list skips morphing, so the errors stay visible when the cart sections re-render.
    *
-   * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * @param {DiscountCodeDiagnostic[]} diagnostics - The codes that weren't applied.
    */
-  #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
-    cartDiscountError.classList.remove('hidden');
-    target.classList.remove('hidden');
+  #renderErrors(diagnostics) {
+    this.#renderMessages(diagnostics.map((diagnostic) => this.#errorMessage(diagnostic)));
+  }
+
+  /**
+   * Renders the error of a discount request that didn't go through, e.g. because the shopper is offline.
+   * @param {unknown} error - The error.
+   */
+  #renderRequestError(error) {
+    if (error instanceof CartOfflineError) {
+      this.#renderMessages([error.message]);
+      return;
+    }
+
+    console.error(error);
+    this.#renderMessages([this.dataset.errorRequest ?? '']);
+  }
+
+  /**
+   * @param {string[]} messages - The error messages.
+   */
+  #renderMessages(messages) {
+    const { cartDiscountErrors, cartDiscountErrorTemplate } = this.refs;
+
+    const errors = messages.map((message) => {
+      const error = /** @type {DocumentFragment} */ (cartDiscountErrorTemplate.content.cloneNode(true));
+      const text = error.querySelector('.cart-discount__error-text');
+
+      if (text) text.textContent = message;
+
+      return error;
+    });
+
+    cartDiscountErrors.replaceChildren(...errors);
+  }
+
+  /**
+   * @param {DiscountCodeDiagnostic} diagnostic - A code that wasn't applied.
+   * @returns {string} The message explaining why.
+   */
+  #errorMessage({ code, status, conflicts }) {
+    const {
+      errorNotApplicable = '',
+      errorCombination = '',
+      errorShipping = '',
+      errorAlreadyUsed = '',
+      errorMinimum = '',
+      errorNotEligible = '',
+    } = this.dataset;
+
+    switch (status) {
+      case 'shipping':
+        return errorShipping.replace('[code]', code);
+      case 'combination':
+        return errorCombination.replace('[code]', code).replace('[codes]', conflicts.join(', '));
+      case 'already_used':
+        return errorAlreadyUsed.replace('[code]', code);
+      case 'minimum':
+        return errorMinimum.replace('[code]', code);
+      case 'not_eligible':
+        return errorNotEligible.replace('[code]', code);
+      default:
+        return errorNotApplicable.replace('[code]', code);
+    }
   }
 
   /**
@@ -185,19 +227,203 @@ class CartDiscount extends Component {
    * @returns {string[]}
    */
   #existingDiscounts() {
-    /** @type {string[]} */
-    const discountCodes = [];
+    /** @type {Set<string>} */
+    const discountCodes = new Set();
     const discountPills = this.querySelectorAll('.cart-discount__pill');
     for (const pill of discountPills) {
       if (pill instanceof HTMLLIElement && typeof pill.dataset.discountCode === 'string') {
-        discountCodes.push(pill.dataset.discountCode);
+        discountCodes.add(pill.dataset.discountCode);
       }
     }
 
-    return discountCodes;
+    // Shipping codes have no pill since they don't reduce the cart total, but they must be kept as well.
+    for (const { code, applicable } of cartStore.state?.discount_codes ?? []) {
+      if (applicable) discountCodes.add(code);
+    }
+
+    return Array.from(discountCodes);
   }
 }
 
 if (!customElements.get('cart-discount-component')) {
   customElements.define('cart-discount-component', CartDiscount);
 }
+
+/**
+ * Splits the codes a shopper typed or pasted, e.g. `SUMMER, VIP10`.
+ * @param {string} value - The input value.
+ * @returns {string[]} The unique codes.
+ */
+function parseDiscountCodes(value) {
+  const codes = value.split(',').map((code) => code.trim());
+
+  return Array.from(new Set(codes.filter(Boolean)));
+}
+
+/**
+ * Adds codes to the ones already on the cart, and explains the result of each new code.
+ *
+ * @param {string[]} codes - The codes to add.
+ * @param {string[]} existingCodes - The codes already applied to the cart.
+ * @param {string} sourceId - The id of the element the codes were applied from.
+ * @param {string[]} sectionIds - The sections to render with the updated cart.
+ * @returns {Promise<{ data: any, diagnostics: DiscountCodeDiagnostic[] }>} The cart response and a diagnostic per new code.
+ */
+async function applyDiscountCodes(codes, existingCodes, sourceId, sectionIds) {
+  const data = await cartQueue.enqueue({
+    type: 'update',
+    body: {
+      discount: [...existingCodes, ...codes].join(','),
+      sections: sectionIds,
+    },
+    sourceId,
+  });
+
+  return { data, diagnostics: codes.map((code) => diagnoseDiscountCode(code, data, existingCodes)) };
+}
+
+/**
+ * Explains the result of a code from the cart response.
+ *
+ * @param {string} code - The code.
+ * @param {CartState} cart - The cart returned after adding the code.
+ * @param {string[]} existingCodes - The codes that were applied before.
+ * @returns {DiscountCodeDiagnostic} The diagnostic.
+ */
+function diagnoseDiscountCode(code, cart, existingCodes) {
+  const discountCodes = cart.discount_codes ?? [];
+  const matches = (/** @type {string} */ other) => other.toLowerCase() === code.toLowerCase();
+  const applicable = discountCodes.find((discountCode) => matches(discountCode.code))?.applicable ?? false;
+  if (applicable) {
+    // Codes that were applied before and no longer are were replaced by this one.
+    const conflicts = existingCodes.filter((existingCode) =>
+      discountCodes.some((discountCode) => discountCode.code === existingCode && !discountCode.applicable)
+    );
+
+    if (conflicts.length) return { code, status: 'combination', applicable, conflicts };
+
+    // Codes that save nothing on the cart only reduce shipping.
+    const status = getDiscountSavings(code, cart) > 0 ? 'applied' : 'shipping';
+
+    return { code, status, applicable, conflicts };
+  }
+
+  // The code is rejected while other codes apply: the most likely reason is that they can't be combined.
+  const conflicts = discountCodes
+    .filter((discountCode) => discountCode.applicable && existingCodes.includes(discountCode.code))
+    .map((discountCode) => discountCode.code);
+
+  if (conflicts.length) return { code, status: 'combination', applicable, conflicts };
+
+  return { code, status: diagnoseRejection(code, cart), applicable, conflicts };
+}
+
+/**
+ * Tells why a code that isn't combined with other codes was rejected, from the last cart it applied to.
+ *
+ * @param {string} code - The code.
+ * @param {CartState} cart - The cart returned after adding the code.
+ * @returns {DiscountCodeStatus} The reason.
+ */
+function diagnoseRejection(code, cart) {
+  const lastCart = readApplicableCodes()[code.toLowerCase()];
+  if (!lastCart) return 'not_applicable';
+
+  // The cart is replaced by a new one after checkout, where the code was used.
+  if (lastCart.token !== cart.token) return 'already_used';
+  if (cart.items_subtotal_price < lastCart.subtotal) return 'minimum';
+
+  const variantIds = new Set(cart.items.map((item) => item.variant_id));
+  if (lastCart.variantIds.some((variantId) => !variantIds.has(variantId))) return 'not_eligible';
+
+  return 'not_applicable';
+}
+
+/**
+ * Reads the last cart each code applied to.
+ * @returns {Record<string, DiscountCodeCart>} The carts, by lowercase code.
+ */
+function readApplicableCodes() {
+  try {
+    return JSON.parse(localStorage.getItem(APPLIED_CODES_STORAGE_KEY) || '{}');
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Remembers the cart each applicable code applies to, to explain later why the code stopped applying.
+ * @param {CartState} cart - The cart.
+ */
+function recordApplicableCodes(cart) {
+  const applicableCodes = (cart.discount_codes ?? []).filter((discountCode) => discountCode.applicable);
+  if (!applicableCodes.length) return;
+
+  const carts = readApplicableCodes();
+
+  for (const { code } of applicableCodes) {
+    carts[code.toLowerCase()] = {
+      token: cart.token,
+      subtotal: cart.items_subtotal_price,
+      variantIds: cart.items.map((item) => item.variant_id),
+    };
+  }
+
+  try {
+    localStorage.setItem(APPLIED_CODES_STORAGE_KEY, JSON.stringify(carts));
+  } catch (_) {
+    // Storage can be full or disabled, rejected codes are then explained without their history.
+  }
+}
+
+/**
+ * Sums what a code saves on the cart, across the cart level and line level discount applications.
+ * @param {string} code - The code.
+ * @param {CartState} cart - The cart.
+ * @returns {number} The savings, in cents.
+ */
+function getDiscountSavings(code, cart) {
+  const matches = (/** @type {string} */ title) => title.toLowerCase() === code.toLowerCase();
+
+  const cartLevelSavings = (cart.cart_level_discount_applications ?? [])
+    .filter((application) => matches(application.title))
+    .reduce((total, application) => total + application.total_allocated_amount, 0);
+
+  const lineLevelSavings = cart.items
+    .flatMap((item) => item.line_level_discount_allocations ?? [])
+    .filter((allocation) => matches(allocation.discount_application.title))
+    .reduce((total, allocation) => total + allocation.amount, 0);
+
+  return cartLevelSavings + lineLevelSavings;
+}
+
+/**
+ * Applies the codes of the `?discount=` URL parameter shoppers land with, e.g. from a newsletter link,
+ * then removes the parameter so the codes aren't applied again on reload.
+ */
+async function applyDiscountFromUrl() {
+  const url = new URL(window.location.href);
+  const value = url.searchParams.get('discount');
+  if (!value) return;
+
+  url.searchParams.delete('discount');
+  history.replaceState(history.state, '', url.toString());
+
+  const existingCodes = (cartStore.state?.discount_codes ?? [])
+    .filter((discountCode) => discountCode.applicable)
+    .map((discountCode) => discountCode.code);
+  const codes = parseDiscountCodes(value).filter((code) => !existingCodes.includes(code));
+  if (!codes.length) return;
+
+  try {
+    const { data } = await applyDiscountCodes(codes, existingCodes, 'cart-discount-url', getCartSectionIds());
+
+    // The cart sections re-render themselves on discount updates.
+    document.dispatchEvent(new DiscountUpdateEvent(data, 'cart-discount-url'));
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+cartStore.subscribe((cart) => cart, recordApplicableCodes);
+onDocumentLoaded(applyDiscountFromUrl);
@@ -1,5 +1,6 @@
 import { DialogComponent } from '@theme/dialog';
 import { CartAddEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that manages a cart drawer.
@@ -7,14 +8,24 @@ import { CartAddEvent } from '@theme/events';
  * @extends {DialogComponent}
  */
 class CartDrawerComponent extends DialogComponent {
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   connectedCallback() {
     super.connectedCallback();
     document.addEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+
+    // The dialog sits outside of the re-rendered cart items, so its empty state follows the cart store.
+    this.#unsubscribe = cartStore.subscribe(
+      (cart) => cart.item_count === 0,
+      (isEmpty) => this.refs.dialog.classList.toggle('cart-drawer--empty', isEmpty)
+    );
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    this.#unsubscribe?.();
   }
 
   #handleCartAdd = () => {
@@ -0,0 +1,212 @@
+import { CartUpdateEvent } from '@theme/events';
+import { cartQueue } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { getCartSectionIds } from '@theme/utilities';
+
+/**
+ * @typedef {import('@theme/cart-store').CartLine} CartLine
+ * @typedef {import('@theme/cart-store').CartState} CartState
+ */
+
+/**
+ * @typedef {Object} GiftRule
+ * @property {number} variantId - The gift variant.
+ * @property {number} threshold - The subtotal that unlocks the gift, in cents of the store currency. 0 to disable.
+ * @property {number | null} triggerProductId - The product that unlocks the gift.
+ */
+
+/**
+ * The line item property that marks the gift line. It starts with an underscore so it isn't shown at checkout.
+ */
+const GIFT_PROPERTY = '_gift_with_purchase';
+
+/**
+ * The source of the cart events dispatched by the rules.
+ */
+const SOURCE_ID = 'cart-gift-rules';
+
+/**
+ * Adds the free gift to the cart when the cart qualifies for it, and removes it when it no longer does.
+ *
+ * The gift line is marked with a hidden line item property, so a gift variant the shopper added themselves is
+ * left alone and stands for the gift, and the quantity of an existing gift line is never changed. The rules run on
+ * every cart store change, including the ones they trigger, and only act when the gift line doesn't match the rule,
+ * so their own updates settle without looping. The gift is added silently, without opening the cart drawer.
+ */
+class GiftWithPurchaseRules {
+  /** @type {GiftRule | null} */
+  #rule = null;
+
+  /**
+   * Whether a gift mutation is in flight. Cart changes are ignored meanwhile.
+   */
+  #pending = false;
+
+  /**
+   * Set when a cart change was ignored while a gift mutation was in flight, so the rule is evaluated again after it.
+   */
+  #stale = false;
+
+  /**
+   * The lines of the cart adding the gift failed for, e.g. because it's sold out, so it isn't retried until the
+   * cart changes.
+   * @type {string | null}
+   */
+  #failedFor = null;
+
+  constructor() {
+    const rule = document.getElementById('gift-rules')?.textContent;
+    if (!rule) return;
+
+    try {
+      this.#rule = JSON.parse(rule);
+    } catch (_) {
+      return;
+    }
+
+    cartStore.subscribe((cart) => cart, this.#evaluate);
+  }
+
+  /**
+   * Checks if the cart qualifies for the gift, ignoring the gift line itself.
+   * @param {CartState} cart - The cart.
+   * @returns {boolean} Whether the cart qualifies.
+   */
+  qualifies(cart) {
+    if (!this.#rule) return false;
+
+    const { threshold, triggerProductId } = this.#rule;
+    const items = cart.items.filter((item) => !isGiftLine(item));
+
+    if (triggerProductId && items.some((item) => item.product_id === triggerProductId)) return true;
+
+    if (threshold > 0) {
+      const subtotal = items.reduce((total, item) => total + item.final_line_price, 0);
+      return subtotal >= Math.round(threshold * (Number(Shopify.currency.rate) || 1));
+    }
+
+    return false;
+  }
+
+  /**
+   * Adds or removes the gift to match the rule.
+   * @param {CartState} cart - The cart.
+   */
+  #evaluate = async (cart) => {
+    if (!this.#rule) return;
+
+    if (this.#pending) {
+      this.#stale = true;
+      return;
+    }
+
+    const giftLine = cart.items.find(isGiftLine);
+    const qualifies = this.qualifies(cart);
+    const lines = cart.items.map((item) => `${item.key}:${item.quantity}`).join(',');
+    const variantId = this.#rule.variantId;
+
+    if (this.#failedFor !== lines) this.#failedFor = null;
+
+    if (qualifies && !giftLine && !this.#failedFor) {
+      // There's no variant to give, or the shopper already has the gift variant in the cart.
+      if (!variantId || cart.items.some((item) => item.variant_id === variantId)) return;
+
+      await this.#mutate(() => this.#addGift(variantId, lines));
+    } else if (!qualifies && giftLine) {
+      await this.#mutate(() => this.#removeGift(giftLine));
+    }
+  };
+
+  /**
+   * Runs a gift mutation, ignoring cart changes until it settles.
+   * @param {() => Promise<void>} mutation - The mutation.
+   */
+  async #mutate(mutation) {
+    this.#pending = true;
+
+    try {
+      await mutation();
+    } catch (error) {
+      // The shopper is offline or the request failed, the rule is evaluated again on the next cart change.
+      console.error(error);
+    } finally {
+      this.#pending = false;
+    }
+
+    if (this.#stale && cartStore.state) {
+      this.#stale = false;
+      await this.#evaluate(cartStore.state);
+    }
+  }
+
+  /**
+   * @param {number} variantId - The gift variant.
+   * @param {string} lines - The lines of the cart the gift is added to.
+   */
+  async #addGift(variantId, lines) {
+    const response = await cartQueue.enqueue({
+      type: 'add',
+      body: {
+        items: [{ id: variantId, quantity: 1, properties: { [GIFT_PROPERTY]: 'true' } }],
+        sections: getCartSectionIds().join(','),
+        sections_url: window.location.pathname,
+      },
+      sourceId: SOURCE_ID,
+    });
+
+    if (response.status) {
+      this.#failedFor = lines;
+      throw new Error(response.description ?? response.message);
+    }
+
+    // An update rather than an add, so the cart drawer doesn't open for a gift the shopper didn't add.
+    document.dispatchEvent(
+      new CartUpdateEvent({}, SOURCE_ID, {
+        source: SOURCE_ID,
+        itemCount: 1,
+        sections: response.sections,
+        sequence: cartQueue.sequenceOf(response),
+      })
+    );
+  }
+
+  /**
+   * @param {CartLine} giftLine - The gift line.
+   */
+  async #removeGift(giftLine) {
+    const response = await cartQueue.enqueue({
+      type: 'change',
+      body: {
+        id: giftLine.key,
+        quantity: 0,
+        sections: getCartSectionIds().join(','),
+        sections_url: window.location.pathname,
+      },
+      sourceId: SOURCE_ID,
+    });
+
+    if (response.errors) throw new Error(response.errors);
+
+    const { sections, ...updatedCart } = response;
+
+    document.dispatchEvent(
+      new CartUpdateEvent(updatedCart, SOURCE_ID, {
+        source: SOURCE_ID,
+        itemCount: updatedCart.item_count,
+        sections,
+        sequence: cartQueue.sequenceOf(response),
+      })
+    );
+  }
+}
+
+/**
+ * Checks if a line is the gift added by the rules.
+ * @param {CartLine} line - The cart line.
+ * @returns {boolean} Whether the line is the gift.
+ */
+function isGiftLine(line) {
+  return Boolean(line.properties?.[GIFT_PROPERTY]);
+}
+
+export const giftWithPurchaseRules = new GiftWithPurchaseRules();
@@ -1,6 +1,6 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that displays a cart icon.
@@ -15,6 +15,9 @@ import { ThemeEvents, CartUpdateEvent } from '@theme/events';
 class CartIcon extends Component {
   requiredRefs = ['cartBubble', 'cartBubbleText', 'cartBubbleCount'];
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   /** @type {number} */
   get currentCartCount() {
     return parseInt(this.refs.cartBubbleCount.textContent ?? '0', 10);
@@ -27,80 +30,40 @@ class CartIcon extends Component {
   connectedCallback() {
     super.connectedCallback();
 
-    document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
-    this.ensureCartBubbleIsCorrect();
+    this.#unsubscribe = cartStore.subscribe(
+      (cart) => cart.item_count,
+      (itemCount, previousItemCount) => {
+        // The first value comes from the page render, only animate actual changes
+        this.renderCartBubble(itemCount, previousItemCount !== undefined);
+      }
+    );
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
-    document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe?.();
   }
 
-  /**
-   * Handles the cart update event.
-   * @param {CartUpdateEvent} event - The cart update event.
-   */
-  onCartUpdate = async (event) => {
-    const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
-
-    this.renderCartBubble(itemCount, comingFromProductForm);
-  };
-
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
-   * @param {boolean} comingFromProductForm - Whether the cart update is coming from the product form.
+   * @param {boolean} [animate] - Whether to animate the bubble.
    */
-  renderCartBubble = async (itemCount, comingFromProductForm, animate = true) => {
-    // If the cart update is coming from the product form, we add to the current cart count, otherwise we set the new cart count
-
+  renderCartBubble = async (itemCount, animate = true) => {
     this.refs.cartBubbleCount.classList.toggle('hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('visually-hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('cart-bubble--animating', itemCount > 0 && animate);
 
-    this.currentCartCount = comingFromProductForm ? this.currentCartCount + itemCount : itemCount;
+    this.currentCartCount = itemCount;
 
     this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
 
-    sessionStorage.setItem(
-      'cart-count',
-      JSON.stringify({
-        value: String(this.currentCartCount),
-        timestamp: Date.now(),
-      })
-    );
-
     if (!animate) return;
     await onAnimationEnd(this.refs.cartBubbleText);
 
     this.refs.cartBubble.classList.remove('cart-bubble--animating');
   };
-
-  /**
-   * Checks if the cart count is correct.
-   */
-  ensureCartBubbleIsCorrect = () => {
-    const sessionStorageCount = sessionStorage.getItem('cart-count');
-    const visibleCount = this.refs.cartBubbleCount.textContent;
-
-    if (sessionStorageCount === visibleCount || sessionStorageCount === null) return;
-
-    try {
-      const { value, timestamp } = JSON.parse(sessionStorageCount);
-
-      if (Date.now() - timestamp < 10000) {
-        const count = parseInt(value, 10);
-
-        if (count >= 0) {
-          this.renderCartBubble(count, false, false);
-        }
-      }
-    } catch (_) {
-      // no-op
-    }
-  };
 }
 
 if (!customElements.get('cart-icon')) {
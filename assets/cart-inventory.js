@@ -0,0 +1,89 @@
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * @typedef {import('@theme/cart-store').CartState} CartState
+ */
+
+/**
+ * @typedef {Object} VariantInventory
+ * @property {number} id - The variant id.
+ * @property {boolean} available - Whether the variant can be bought.
+ * @property {number | null} limit - The quantity the variant is limited to when the cart holds more items than in
+ * stock, or null.
+ */
+
+/**
+ * The section that renders the inventory of the variants of a product as JSON.
+ */
+const INVENTORY_SECTION_ID = 'section-rendering-product-inventory';
+
+/**
+ * Fetches the quantity the variants in the cart are limited to, when the cart holds more items than in stock.
+ * Variants that can cover the cart are left out. A product that can't be checked is skipped, so the others are
+ * still checked.
+ *
+ * @param {CartState} cart - The cart.
+ * @returns {Promise<Map<number, number>>} The quantity each limited variant can be bought in, by variant id.
+ */
+export async function fetchStockLimits(cart) {
+  const productPaths = new Set(cart.items.map((item) => new URL(item.url, window.location.origin).pathname));
+
+  /** @type {Map<number, number>} */
+  const limits = new Map();
+
+  const results = await Promise.allSettled(
+    Array.from(productPaths, async (pathname) => {
+      const url = new URL(pathname, window.location.origin);
+      const html = await sectionRenderer.getSectionHTML(INVENTORY_SECTION_ID, false, url);
+      const json = new DOMParser()
+        .parseFromString(html, 'text/html')
+        .querySelector('script[type="application/json"]')?.textContent;
+
+      // Products that were deleted since they were added render the 404 page instead
+      if (!json) return;
+
+      /** @type {VariantInventory[]} */
+      const variants = JSON.parse(json);
+
+      for (const variant of variants) {
+        if (!variant.available) {
+          limits.set(variant.id, 0);
+        } else if (variant.limit !== null) {
+          limits.set(variant.id, variant.limit);
+        }
+      }
+    })
+  );
+
+  for (const result of results) {
+    if (result.status === 'rejected') console.error(result.reason);
+  }
+
+  return limits;
+}
+
+/**
+ * Finds the lines with a higher quantity than what's in stock.
+ * Lines of the same variant share its limit, in the order of the cart.
+ *
+ * @param {CartState} cart - The cart.
+ * @param {Map<number, number>} limits - The quantity each limited variant can be bought in, by variant id.
+ * @returns {Map<string, number>} The quantity each line can be reduced to, by line key.
+ */
+export function findOverstockedLines(cart, limits) {
+  const remaining = new Map(limits);
+
+  /** @type {Map<string, number>} */
+  const lines = new Map();
+
+  for (const item of cart.items) {
+    const available = remaining.get(item.variant_id);
+    if (available === undefined) continue;
+
+    if (item.quantity > available) lines.set(item.key, available);
+
+    remaining.set(item.variant_id, Math.max(available - item.quantity, 0));
+  }
+
+  return lines;
+}
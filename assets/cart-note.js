@@ -1,14 +1,12 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { debounce } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartQueue } from '@theme/cart-queue';
 
 /**
  * A custom element that displays a cart note.
  */
 class CartNote extends Component {
-  /** @type {AbortController | null} */
-  #activeFetch = null;
-
   /**
    * Handles updates to the cart note.
    * @param {InputEvent} event - The input event in our text-area.
@@ -17,25 +15,17 @@ class CartNote extends Component {
     if (!(event.target instanceof HTMLTextAreaElement)) return;
 
     const note = event.target.value;
-    if (this.#activeFetch) {
-      this.#activeFetch.abort();
-    }
-
-    const abortController = new AbortController();
-    this.#activeFetch = abortController;
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
+      // Successive notes replace each other in the queue, so only the latest one is sent.
+      await cartQueue.enqueue({
+        type: 'update',
+        body: { note },
+        sourceId: this.id,
+        coalesceKey: 'note',
       });
     } catch (error) {
     } finally {
-      this.#activeFetch = null;
       cartPerformance.measureFromEvent('note-update:user-action', event);
     }
   }, 200);
@@ -0,0 +1,230 @@
+import { AnchoredPopoverComponent } from '@theme/anchored-popover';
+import { ThemeEvents } from '@theme/events';
+import { removeTrapFocus, trapFocus } from '@theme/focus';
+import { sectionRenderer } from '@theme/section-renderer';
+import { mediaQueryLarge } from '@theme/utilities';
+
+/**
+ * The section that renders the preview.
+ */
+const PREVIEW_SECTION_ID = 'section-rendering-cart-preview';
+
+/** @constant {number} How long the pointer rests on the icon before the preview opens, in milliseconds */
+const OPEN_DELAY = 150;
+
+/** @constant {number} How long the pointer can leave the icon and the preview before it closes, in milliseconds */
+const CLOSE_DELAY = 250;
+
+/**
+ * A custom element that previews the cart in a popover anchored to the cart icon.
+ *
+ * The preview opens on desktop when the icon is hovered or focused. It's rendered with the Section Rendering API the
+ * first time it opens, and again after each cart update. Arrow down moves the focus into the preview, where it's
+ * trapped until the preview closes with Escape or the focus leaves it.
+ *
+ * @extends {AnchoredPopoverComponent}
+ */
+class CartPreviewComponent extends AnchoredPopoverComponent {
+  requiredRefs = ['popover', 'trigger', 'content'];
+
+  /**
+   * Whether the preview needs to be rendered before it's shown.
+   */
+  #stale = true;
+
+  /**
+   * Incremented on every render so an older preview can't overwrite a newer one.
+   */
+  #renderId = 0;
+
+  /**
+   * Whether the focus is trapped in the preview.
+   */
+  #focusTrapped = false;
+
+  /**
+   * Set while the focus is moved back to the icon, so it doesn't open the preview again.
+   */
+  #restoringFocus = false;
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    clearTimeout(this.#timeout);
+    if (this.#focusTrapped) removeTrapFocus();
+  }
+
+  /**
+   * Opens the preview when a mouse rests on the icon.
+   * @param {PointerEvent} event - The pointerenter event.
+   */
+  handlePointerEnter(event) {
+    if (event.pointerType !== 'mouse') return;
+
+    clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(this.open, OPEN_DELAY);
+  }
+
+  /**
+   * Closes the preview when the mouse leaves the icon and the preview, unless the focus is in the preview.
+   * @param {PointerEvent} event - The pointerleave event.
+   */
+  handlePointerLeave(event) {
+    if (event.pointerType !== 'mouse') return;
+
+    clearTimeout(this.#timeout);
+    if (!this.#focusTrapped) this.#timeout = setTimeout(this.close, CLOSE_DELAY);
+  }
+
+  /**
+   * Opens the preview when the icon is focused.
+   */
+  handleTriggerFocus() {
+    if (this.#restoringFocus) {
+      this.#restoringFocus = false;
+      return;
+    }
+
+    this.open();
+  }
+
+  /**
+   * Moves the focus into the preview with arrow down, and closes it with Escape.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleTriggerKeydown(event) {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      this.#focusPreview();
+    } else if (event.key === 'Escape') {
+      this.close();
+    }
+  }
+
+  /**
+   * Closes the preview with Escape and moves the focus back to the icon.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handlePopoverKeydown(event) {
+    if (event.key !== 'Escape') return;
+
+    event.preventDefault();
+    this.close();
+
+    this.#restoringFocus = true;
+    /** @type {HTMLElement} */ (this.refs.trigger).focus();
+  }
+
+  /**
+   * Closes the preview when the focus leaves the icon and the preview.
+   * @param {FocusEvent} event - The blur event.
+   */
+  handleBlur(event) {
+    const { relatedTarget } = event;
+
+    if (relatedTarget instanceof Node && this.contains(relatedTarget)) return;
+
+    this.close();
+  }
+
+  /**
+   * Opens the preview, rendering it first if the cart changed.
+   */
+  open = async () => {
+    const popover = /** @type {HTMLElement} */ (this.refs.popover);
+    const trigger = /** @type {HTMLElement} */ (this.refs.trigger);
+
+    clearTimeout(this.#timeout);
+
+    if (!mediaQueryLarge.matches) return;
+
+    if (!popover.matches(':popover-open')) popover.showPopover();
+    trigger.setAttribute('aria-expanded', 'true');
+
+    if (this.#stale) await this.#render();
+  };
+
+  /**
+   * Closes the preview.
+   */
+  close = () => {
+    const popover = /** @type {HTMLElement} */ (this.refs.popover);
+    const trigger = /** @type {HTMLElement} */ (this.refs.trigger);
+
+    clearTimeout(this.#timeout);
+
+    if (popover.matches(':popover-open')) popover.hidePopover();
+    trigger.setAttribute('aria-expanded', 'false');
+
+    if (this.#focusTrapped) {
+      this.#focusTrapped = false;
+      removeTrapFocus();
+    }
+  };
+
+  /**
+   * Opens the preview and traps the focus in it.
+   */
+  async #focusPreview() {
+    const popover = /** @type {HTMLElement} */ (this.refs.popover);
+
+    await this.open();
+
+    if (!popover.matches(':popover-open')) return;
+
+    this.#focusTrapped = true;
+    trapFocus(popover);
+  }
+
+  /**
+   * Renders the preview with the Section Rendering API.
+   */
+  async #render() {
+    const content = /** @type {HTMLElement} */ (this.refs.content);
+    const renderId = ++this.#renderId;
+
+    this.#stale = false;
+    content.setAttribute('aria-busy', 'true');
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(PREVIEW_SECTION_ID, false);
+      if (renderId !== this.#renderId) return;
+
+      const preview = new DOMParser().parseFromString(html, 'text/html').querySelector('.cart-preview__content');
+      if (!preview) throw new Error('Cart preview not found in the section rendering response');
+
+      content.replaceChildren(document.importNode(preview, true));
+
+      // The focusable elements changed, trap the focus in the new ones.
+      if (this.#focusTrapped) trapFocus(/** @type {HTMLElement} */ (this.refs.popover));
+    } catch (error) {
+      this.#stale = true;
+      console.error(error);
+    } finally {
+      if (renderId === this.#renderId) content.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Renders the preview again when the cart changes, right away if it's open.
+   */
+  #onCartUpdate = () => {
+    this.#stale = true;
+
+    if (/** @type {HTMLElement} */ (this.refs.popover).matches(':popover-open')) this.#render();
+  };
+}
+
+if (!customElements.get('cart-preview-component')) {
+  customElements.define('cart-preview-component', CartPreviewComponent);
+}
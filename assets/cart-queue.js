@@ -0,0 +1,450 @@
+import { CartErrorEvent, CartUpdateEvent } from '@theme/events';
+import { fetchConfig, onDocumentLoaded } from '@theme/utilities';
+
+/**
+ * @typedef {'add' | 'change' | 'update'} CartMutationType
+ */
+
+/**
+ * @typedef {Object} CartMutationRequest
+ * @property {CartMutationType} type - The cart endpoint the mutation is sent to.
+ * @property {Record<string, unknown> | FormData} body - The request body.
+ * @property {string} sourceId - The id of the element the mutation was triggered from.
+ * @property {string} [coalesceKey] - Pending mutations sharing a key are merged into the most recent one, and an
+ * in-flight mutation sharing the key is aborted. Only use it for mutations that set an absolute state, e.g. a quantity.
+ */
+
+/**
+ * @typedef {Object} CartMutation
+ * @property {string} id - A unique id for the mutation.
+ * @property {CartMutationType} type - The cart endpoint the mutation is sent to.
+ * @property {Record<string, unknown> | [string, string][]} body - A JSON body, or the entries of a form body.
+ * @property {string} sourceId - The id of the element the mutation was triggered from.
+ * @property {string} [coalesceKey] - Pending mutations sharing a key are merged into the most recent one.
+ * @property {boolean} [sent] - Whether the mutation was sent, it may have been applied even if no response arrived.
+ */
+
+/**
+ * @typedef {Object} Waiter
+ * @property {(data: any) => void} resolve
+ * @property {(error: Error) => void} reject
+ */
+
+/**
+ * Thrown to the caller of a mutation that could not be sent because the shopper is offline.
+ * The mutation stays queued and is replayed when connectivity returns.
+ */
+export class CartOfflineError extends Error {
+  constructor() {
+    super(Theme.translations.cart_queued || 'Offline');
+    this.name = 'CartOfflineError';
+  }
+}
+
+/**
+ * Serialises every cart mutation (add, change, note, discount) through a single persistent queue.
+ *
+ * Mutations are sent in order. When the network drops, the pending mutations are stored in localStorage
+ * and replayed once the browser is back online, or on the next page load. Replayed mutations no longer
+ * have a caller waiting on them, so the queue dispatches the `CartUpdateEvent` / `CartErrorEvent` itself.
+ *
+ * Change and update mutations set an absolute state, so they're safe to replay. An add mutation that was sent without
+ * getting a response may have been applied already, replaying it could add the items twice. It's dropped instead, and
+ * the cart is fetched again once the connection is back.
+ *
+ * Every response is tagged with a sequence number, in the order the mutations were sent. Sections rendered by a
+ * response are only morphed if no newer response was applied to them, see `morphSection`.
+ */
+class CartMutationQueue {
+  /** @static @constant {string} The key used to store pending mutations in local storage */
+  static #STORAGE_KEY = 'cart-mutation-queue';
+
+  /** @type {CartMutation[]} */
+  #queue = [];
+
+  /**
+   * The callers waiting on each mutation, by mutation id
+   * @type {Map<string, Waiter[]>}
+   */
+  #waiters = new Map();
+
+  /** @type {string | null} */
+  #inFlight = null;
+
+  /**
+   * Aborts the in-flight mutation
+   * @type {AbortController | null}
+   */
+  #inFlightController = null;
+
+  /**
+   * The mutations superseded while in flight, by the id of the mutation that replaces them
+   * @type {Map<string, string>}
+   */
+  #superseded = new Map();
+
+  /** The sequence number of the last response received */
+  #sequence = 0;
+
+  /**
+   * The sequence number of each response
+   * @type {WeakMap<object, number>}
+   */
+  #sequences = new WeakMap();
+
+  #processing = false;
+
+  /** Whether an add mutation was dropped, so the cart must be fetched again to know its state */
+  #resync = false;
+
+  constructor() {
+    this.#queue = this.#restore();
+    this.#persist();
+
+    window.addEventListener('online', this.flush);
+
+    if (this.#queue.length) onDocumentLoaded(this.flush);
+  }
+
+  /**
+   * The number of mutations waiting to be sent.
+   * @returns {number}
+   */
+  get size() {
+    return this.#queue.length;
+  }
+
+  /**
+   * Adds a mutation to the queue.
+   *
+   * @param {CartMutationRequest} request - The mutation to send.
+   * @returns {Promise<any>} Resolves with the parsed server response, or rejects with a `CartOfflineError`
+   * when the mutation was queued for later.
+   */
+  enqueue(request) {
+    return new Promise((resolve, reject) => {
+      /** @type {Waiter} */
+      const waiter = { resolve, reject };
+      const body = request.body instanceof FormData ? formDataToEntries(request.body) : request.body;
+      const existing = request.coalesceKey
+        ? this.#queue.find((mutation) => mutation.coalesceKey === request.coalesceKey && mutation.id !== this.#inFlight)
+        : undefined;
+
+      /** @type {CartMutation} */
+      let mutation;
+
+      if (existing) {
+        existing.body = body;
+        existing.sourceId = request.sourceId;
+        mutation = existing;
+      } else {
+        mutation = {
+          id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+          type: request.type,
+          body,
+          sourceId: request.sourceId,
+          coalesceKey: request.coalesceKey,
+        };
+        this.#queue.push(mutation);
+        this.#supersedeInFlight(mutation);
+      }
+
+      this.#persist();
+
+      if (!navigator.onLine) {
+        reject(new CartOfflineError());
+        return;
+      }
+
+      this.#waiters.set(mutation.id, [...(this.#waiters.get(mutation.id) ?? []), waiter]);
+      this.flush();
+    });
+  }
+
+  /**
+   * Gets the sequence number of a response, to tell if it's older than another one.
+   * @param {unknown} response - A response resolved by `enqueue`.
+   * @returns {number | undefined} The sequence number, or undefined if the response didn't come from the queue.
+   */
+  sequenceOf(response) {
+    return response && typeof response === 'object' ? this.#sequences.get(response) : undefined;
+  }
+
+  /**
+   * Aborts the in-flight mutation when a new one of the same kind replaces it. Its callers wait on the new one.
+   * @param {CartMutation} mutation - The new mutation.
+   */
+  #supersedeInFlight(mutation) {
+    const inFlight = this.#queue.find(({ id }) => id === this.#inFlight);
+    if (!inFlight || !mutation.coalesceKey || inFlight.coalesceKey !== mutation.coalesceKey) return;
+
+    this.#superseded.set(inFlight.id, mutation.id);
+    this.#inFlightController?.abort();
+  }
+
+  /**
+   * Sends the pending mutations one after the other.
+   */
+  flush = async () => {
+    if (this.#processing || !navigator.onLine) return;
+
+    this.#processing = true;
+
+    /** @type {Record<string, string> | undefined} */
+    let replayedSections;
+    /** @type {number | undefined} */
+    let replayedSequence;
+    let replayed = false;
+    let offline = false;
+
+    try {
+      while (this.#queue.length) {
+        const mutation = /** @type {CartMutation} */ (this.#queue[0]);
+
+        /** @type {Response} */
+        let response;
+
+        const controller = new AbortController();
+
+        this.#inFlight = mutation.id;
+        this.#inFlightController = controller;
+
+        mutation.sent = true;
+        this.#persist();
+
+        try {
+          response = await fetch(routeFor(mutation.type), {
+            ...buildRequestConfig(mutation),
+            signal: controller.signal,
+          });
+        } catch (error) {
+          const supersededBy = this.#superseded.get(mutation.id);
+
+          if (controller.signal.aborted && supersededBy) {
+            this.#superseded.delete(mutation.id);
+            this.#queue.shift();
+            this.#persist();
+            this.#moveWaiters(mutation.id, supersededBy);
+            continue;
+          }
+
+          if (mutation.type === 'add') {
+            // The items may have been added, don't replay the mutation.
+            this.#queue.shift();
+            this.#persist();
+            this.#rejectMutationWaiters(mutation.id, new Error('The cart add request failed to complete'));
+            this.#resync = true;
+          }
+
+          // A network failure: keep everything else queued and let the callers know it will be replayed.
+          this.#rejectWaiters(() => new CartOfflineError());
+          offline = true;
+          break;
+        } finally {
+          this.#inFlight = null;
+          this.#inFlightController = null;
+        }
+
+        // The response arrived before the abort, so it's applied like any other.
+        this.#superseded.delete(mutation.id);
+
+        const sequence = ++this.#sequence;
+
+        this.#queue.shift();
+        this.#persist();
+
+        const waiters = this.#waiters.get(mutation.id) ?? [];
+        this.#waiters.delete(mutation.id);
+
+        let data;
+
+        try {
+          data = await response.json();
+        } catch (error) {
+          waiters.forEach((waiter) => waiter.reject(/** @type {Error} */ (error)));
+          if (!waiters.length) console.error(error);
+          continue;
+        }
+
+        if (data && typeof data === 'object') this.#sequences.set(data, sequence);
+
+        if (waiters.length) {
+          waiters.forEach((waiter) => waiter.resolve(data));
+          continue;
+        }
+
+        replayed = true;
+
+        const message = getErrorMessage(data);
+        if (message) {
+          document.dispatchEvent(new CartErrorEvent(mutation.sourceId, message));
+        } else if (data.sections) {
+          replayedSections = data.sections;
+          replayedSequence = sequence;
+        }
+      }
+    } finally {
+      this.#processing = false;
+    }
+
+    if (!offline && (replayed || this.#resync)) this.#announceReplay(replayedSections, replayedSequence);
+  };
+
+  /**
+   * Lets the rest of the theme know the cart changed after queued mutations were replayed.
+   * @param {Record<string, string> | undefined} sections - The most recent sections returned by the replayed mutations.
+   * @param {number | undefined} sequence - The sequence number of the response the sections come from.
+   */
+  async #announceReplay(sections, sequence) {
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`);
+      const cart = await response.json();
+
+      this.#resync = false;
+
+      document.dispatchEvent(
+        new CartUpdateEvent(cart, 'cart-mutation-queue', {
+          itemCount: cart.item_count,
+          source: 'cart-mutation-queue',
+          sections,
+          sequence,
+        })
+      );
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Makes the callers waiting on a mutation wait on another one.
+   * @param {string} fromId - The id of the mutation the callers wait on.
+   * @param {string} toId - The id of the mutation they should wait on instead.
+   */
+  #moveWaiters(fromId, toId) {
+    const waiters = this.#waiters.get(fromId) ?? [];
+
+    this.#waiters.delete(fromId);
+    this.#waiters.set(toId, [...(this.#waiters.get(toId) ?? []), ...waiters]);
+  }
+
+  /**
+   * Rejects the callers waiting on a mutation.
+   * @param {string} id - The id of the mutation.
+   * @param {Error} error - The error to reject with.
+   */
+  #rejectMutationWaiters(id, error) {
+    (this.#waiters.get(id) ?? []).forEach((waiter) => waiter.reject(error));
+    this.#waiters.delete(id);
+  }
+
+  /**
+   * Rejects every caller currently waiting on a mutation.
+   * @param {() => Error} createError - Creates the error to reject with.
+   */
+  #rejectWaiters(createError) {
+    for (const waiters of this.#waiters.values()) {
+      waiters.forEach((waiter) => waiter.reject(createError()));
+    }
+
+    this.#waiters.clear();
+  }
+
+  #persist() {
+    try {
+      if (this.#queue.length) {
+        localStorage.setItem(CartMutationQueue.#STORAGE_KEY, JSON.stringify(this.#queue));
+      } else {
+        localStorage.removeItem(CartMutationQueue.#STORAGE_KEY);
+      }
+    } catch (_) {
+      // Storage can be full or unavailable, the queue keeps working in memory.
+    }
+  }
+
+  /**
+   * Restores the pending mutations. Add mutations that were sent when the page was left may have been applied, the
+   * page was rendered with the current cart so they're dropped.
+   * @returns {CartMutation[]}
+   */
+  #restore() {
+    try {
+      /** @type {unknown} */
+      const stored = JSON.parse(localStorage.getItem(CartMutationQueue.#STORAGE_KEY) || '[]');
+      if (!Array.isArray(stored)) return [];
+
+      return stored.filter((/** @type {CartMutation} */ mutation) => !(mutation.type === 'add' && mutation.sent));
+    } catch (_) {
+      return [];
+    }
+  }
+}
+
+/**
+ * Gets the route for a mutation type.
+ * @param {CartMutationType} type - The mutation type.
+ * @returns {string} The route.
+ */
+function routeFor(type) {
+  switch (type) {
+    case 'add':
+      return Theme.routes.cart_add_url;
+    case 'change':
+      return Theme.routes.cart_change_url;
+    case 'update':
+      return Theme.routes.cart_update_url;
+  }
+}
+
+/**
+ * Builds the fetch configuration for a mutation.
+ * @param {CartMutation} mutation - The mutation.
+ * @returns {RequestInit} The fetch configuration.
+ */
+function buildRequestConfig({ body }) {
+  if (!Array.isArray(body)) {
+    return fetchConfig('json', { body: JSON.stringify(body) });
+  }
+
+  const formData = new FormData();
+  for (const [key, value] of body) formData.append(key, value);
+
+  const config = fetchConfig('javascript', { body: formData });
+
+  return {
+    ...config,
+    headers: {
+      ...config.headers,
+      Accept: 'text/html',
+    },
+  };
+}
+
+/**
+ * Converts form data to entries that can be stored. Files can't be persisted and are skipped.
+ * @param {FormData} formData - The form data.
+ * @returns {[string, string][]} The entries.
+ */
+function formDataToEntries(formData) {
+  /** @type {[string, string][]} */
+  const entries = [];
+
+  for (const [key, value] of formData.entries()) {
+    if (typeof value === 'string') entries.push([key, value]);
+  }
+
+  return entries;
+}
+
+/**
+ * Gets the error message of a cart response, if any.
+ * @param {any} data - The parsed response.
+ * @returns {string | undefined} The error message.
+ */
+function getErrorMessage(data) {
+  if (data.status) return data.description ?? data.message;
+  if (data.errors) return typeof data.errors === 'string' ? data.errors : JSON.stringify(data.errors);
+
+  return undefined;
+}
+
+export const cartQueue = new CartMutationQueue();
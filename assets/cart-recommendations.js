@@ -0,0 +1,331 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, CartErrorEvent } from '@theme/events';
+import { cartPerformance } from '@theme/performance';
+import { cartQueue, CartOfflineError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { DialogOpenEvent } from '@theme/dialog';
+import { formatPrice, getCartSectionIds } from '@theme/utilities';
+
+/**
+ * @typedef {Object} RecommendedProduct
+ * @property {number} id - The product id.
+ * @property {string} title - The product title.
+ * @property {string} url - The product URL.
+ * @property {number} price - The price of the product, in cents.
+ * @property {string | null} featured_image - The featured image URL.
+ * @property {boolean} available - Whether the product is available.
+ * @property {Array<{ id: number, available: boolean }>} variants - The product variants.
+ */
+
+/**
+ * The recommendations of each set of products in the cart, kept for the session.
+ */
+const STORAGE_KEY_PREFIX = 'cart-recommendations';
+
+/**
+ * A custom element that recommends products that complement the cart, e.g. in the cart drawer.
+ *
+ * The complementary recommendations of every product in the cart are fetched, merged in the order of the cart
+ * lines and de-duplicated, and the products already in the cart are left out. The list is rendered from the
+ * cart store, which follows every cart update, so the subtree is skipped when the cart section is morphed.
+ * Nothing is fetched until the cart drawer is opened, or while the page is in the background, and the
+ * recommendations of each set of products are kept for the session.
+ *
+ * @typedef {object} CartRecommendationsRefs
+ * @property {HTMLElement} list - The list the recommendations are rendered in.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a recommendation.
+ * @property {HTMLElement} liveRegion - The live region.
+ *
+ * @extends Component<CartRecommendationsRefs>
+ */
+class CartRecommendationsComponent extends Component {
+  requiredRefs = ['list', 'itemTemplate', 'liveRegion'];
+
+  /**
+   * The recommendations of each product, shared by the components on the page.
+   * @type {Map<string, Promise<RecommendedProduct[] | null>>}
+   */
+  static #cache = new Map();
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /** @type {Element | null} */
+  #cartDrawer = null;
+
+  /**
+   * The products in the cart
+   * @type {number[]}
+   */
+  #productIds = [];
+
+  /**
+   * The products the recommendations were last rendered for, as a key of the set
+   * @type {string | null}
+   */
+  #renderedKey = null;
+
+  /**
+   * Incremented on every render so an older set of recommendations can't overwrite a newer one.
+   */
+  #renderId = 0;
+
+  /** @type {number | undefined} */
+  #liveRegionTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#cartDrawer = this.closest('cart-drawer-component');
+    this.#cartDrawer?.addEventListener(DialogOpenEvent.eventName, this.#renderIfVisible);
+    document.addEventListener('visibilitychange', this.#renderIfVisible);
+    this.#unsubscribe = cartStore.subscribe(
+      (cart) => Array.from(new Set(cart.items.map((item) => item.product_id))),
+      (productIds) => {
+        this.#productIds = productIds;
+        this.#renderIfVisible();
+      }
+    );
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#cartDrawer?.removeEventListener(DialogOpenEvent.eventName, this.#renderIfVisible);
+    this.#cartDrawer = null;
+    document.removeEventListener('visibilitychange', this.#renderIfVisible);
+    this.#unsubscribe?.();
+    clearTimeout(this.#liveRegionTimeout);
+  }
+
+  /**
+   * Adds a recommended product to the cart.
+   * @param {MouseEvent & { target: HTMLButtonElement }} event - The click event on the add button.
+   */
+  addToCart = async (event) => {
+    const button = event.target;
+    const variantId = Number(button.dataset.variantId);
+    const item = button.closest('.cart-recommendations__item');
+    if (!variantId || !(item instanceof HTMLElement)) return;
+
+    button.disabled = true;
+    this.#setItemError(item, '');
+
+    try {
+      const response = await cartQueue.enqueue({
+        type: 'add',
+        body: {
+          items: [{ id: variantId, quantity: 1 }],
+          sections: getCartSectionIds().join(','),
+          sections_url: window.location.pathname,
+        },
+        sourceId: this.id,
+      });
+
+      if (response.status) {
+        this.dispatchEvent(new CartErrorEvent(this.id, response.message));
+        this.#setItemError(item, response.description ?? response.message);
+        return;
+      }
+
+      this.#announce(Theme.translations.added ?? '');
+
+      this.dispatchEvent(
+        new CartAddEvent({}, variantId.toString(), {
+          source: 'cart-recommendations-component',
+          itemCount: 1,
+          productId: item.dataset.productId,
+          sections: response.sections,
+          sequence: cartQueue.sequenceOf(response),
+        })
+      );
+    } catch (error) {
+      if (error instanceof CartOfflineError) {
+        // The add is queued and will be replayed when the shopper is back online.
+        this.#setItemError(item, error.message);
+        return;
+      }
+
+      console.error(error);
+    } finally {
+      button.disabled = false;
+      cartPerformance.measureFromEvent('add:user-action', event);
+    }
+  };
+
+  /**
+   * Renders the recommendations for the products in the cart, unless they're already rendered or nobody can see
+   * them: the page is in the background or the cart drawer is closed.
+   */
+  #renderIfVisible = () => {
+    const dialog = this.closest('dialog');
+
+    if (document.hidden || (dialog && !dialog.open)) return;
+
+    const key = [...this.#productIds].sort((a, b) => a - b).join(',');
+    if (key === this.#renderedKey) return;
+
+    this.#renderedKey = key;
+    this.#render(this.#productIds, key);
+  };
+
+  /**
+   * Renders the recommendations for the products in the cart.
+   * @param {number[]} productIds - The products in the cart.
+   * @param {string} key - The key of the set of products.
+   */
+  async #render(productIds, key) {
+    const renderId = ++this.#renderId;
+    const products = await this.#getRecommendations(productIds, key);
+    if (renderId !== this.#renderId) return;
+
+    this.refs.list.replaceChildren(...products.map((product) => this.#renderItem(product)));
+    this.hidden = products.length === 0;
+  }
+
+  /**
+   * Gets the recommendations for a set of products, from the session if they were already fetched.
+   * @param {number[]} productIds - The products in the cart.
+   * @param {string} key - The key of the set of products.
+   * @returns {Promise<RecommendedProduct[]>}
+   */
+  async #getRecommendations(productIds, key) {
+    const limit = Number(this.dataset.limit) || 3;
+    const storageKey = `${STORAGE_KEY_PREFIX}:${this.dataset.url}:${limit}:${key}`;
+
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(storageKey) ?? 'null');
+      if (Array.isArray(stored)) return stored;
+    } catch (_) {
+      // Fetch the recommendations again.
+    }
+
+    const recommendations = await Promise.all(productIds.map((productId) => this.#fetchRecommendations(productId)));
+
+    /** @type {Map<number, RecommendedProduct>} */
+    const products = new Map();
+
+    for (const product of recommendations.flatMap((list) => list ?? [])) {
+      if (products.size >= limit) break;
+      if (productIds.includes(product.id) || products.has(product.id)) continue;
+      if (!product.available || !product.variants.some((variant) => variant.available)) continue;
+
+      products.set(product.id, product);
+    }
+
+    const result = Array.from(products.values());
+
+    // Failed requests aren't kept, so the next session tries again.
+    if (recommendations.every(Boolean)) {
+      try {
+        sessionStorage.setItem(storageKey, JSON.stringify(result));
+      } catch (_) {
+        // Storage can be full or disabled, the recommendations are only fetched again.
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Fetches the complementary products of a product. Failed requests resolve to null.
+   * @param {number} productId - The product id.
+   * @returns {Promise<RecommendedProduct[] | null>}
+   */
+  #fetchRecommendations(productId) {
+    const url = `${this.dataset.url}.json?product_id=${productId}&intent=complementary&limit=${this.dataset.limit}`;
+
+    let request = CartRecommendationsComponent.#cache.get(url);
+
+    if (!request) {
+      request = fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(`Server returned ${response.status}`);
+          return response.json();
+        })
+        .then((data) => data.products ?? [])
+        .catch((error) => {
+          // Let the next render try again.
+          CartRecommendationsComponent.#cache.delete(url);
+          console.error('Cart recommendations error:', error);
+          return null;
+        });
+
+      CartRecommendationsComponent.#cache.set(url, request);
+    }
+
+    return request;
+  }
+
+  /**
+   * @param {RecommendedProduct} product - The product to render.
+   * @returns {DocumentFragment} The rendered recommendation.
+   */
+  #renderItem(product) {
+    const fragment = /** @type {DocumentFragment} */ (this.refs.itemTemplate.content.cloneNode(true));
+    const item = fragment.querySelector('.cart-recommendations__item');
+    const image = fragment.querySelector('.cart-recommendations__image');
+    const variant = product.variants.find((variant) => variant.available);
+
+    if (item instanceof HTMLElement) item.dataset.productId = String(product.id);
+
+    if (image instanceof HTMLImageElement) {
+      if (product.featured_image) {
+        const src = new URL(product.featured_image, window.location.origin);
+        src.searchParams.set('width', '160');
+        image.src = src.toString();
+        image.alt = product.title;
+      } else {
+        image.remove();
+      }
+    }
+
+    fragment.querySelectorAll('.cart-recommendations__link').forEach((link) => {
+      if (link instanceof HTMLAnchorElement) link.href = product.url;
+    });
+
+    const title = fragment.querySelector('.cart-recommendations__title');
+    if (title) title.textContent = product.title;
+
+    const price = fragment.querySelector('.cart-recommendations__price');
+    if (price) price.textContent = formatPrice(product.price);
+
+    const button = fragment.querySelector('.cart-recommendations__add');
+    if (button instanceof HTMLButtonElement && variant) {
+      button.dataset.variantId = String(variant.id);
+      button.setAttribute('aria-label', `${button.getAttribute('aria-label')}: ${product.title}`);
+    }
+
+    return fragment;
+  }
+
+  /**
+   * @param {HTMLElement} item - The recommendation.
+   * @param {string} message - The error, or an empty string to clear it.
+   */
+  #setItemError(item, message) {
+    const error = item.querySelector('.cart-recommendations__error');
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * @param {string} text - The text to announce.
+   */
+  #announce(text) {
+    const { liveRegion } = this.refs;
+
+    liveRegion.textContent = text;
+
+    clearTimeout(this.#liveRegionTimeout);
+    this.#liveRegionTimeout = setTimeout(() => {
+      liveRegion.textContent = '';
+    }, 5000);
+  }
+}
+
+if (!customElements.get('cart-recommendations-component')) {
+  customElements.define('cart-recommendations-component', CartRecommendationsComponent);
+}
@@ -0,0 +1,92 @@
+import { Component } from '@theme/component';
+import { CartAddEvent } from '@theme/events';
+import { CartOfflineError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { cartSnapshot } from '@theme/cart-snapshot';
+
+/**
+ * A custom element that offers a returning visitor with an empty cart to restore the cart of their last visit.
+ *
+ * @typedef {object} CartRestoreBannerRefs
+ * @property {HTMLButtonElement} restoreButton - The restore button.
+ * @property {HTMLElement} error - The error message.
+ *
+ * @extends Component<CartRestoreBannerRefs>
+ */
+class CartRestoreBannerComponent extends Component {
+  requiredRefs = ['restoreButton', 'error'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribe((cart) => cart.item_count, this.#update);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Adds the previous cart to the cart.
+   */
+  restore = async () => {
+    const { restoreButton, error } = this.refs;
+
+    restoreButton.disabled = true;
+    error.hidden = true;
+
+    try {
+      const { itemCount, sections, sequence } = await cartSnapshot.restore(this.id);
+
+      if (!itemCount) {
+        error.textContent = this.dataset.errorText ?? '';
+        error.hidden = false;
+        return;
+      }
+
+      this.dispatchEvent(
+        new CartAddEvent({}, this.id, {
+          source: 'cart-restore-banner-component',
+          itemCount,
+          sections,
+          sequence,
+        })
+      );
+
+      this.hidden = true;
+    } catch (restoreError) {
+      error.textContent =
+        restoreError instanceof CartOfflineError ? restoreError.message : this.dataset.errorText ?? '';
+      error.hidden = false;
+
+      if (!(restoreError instanceof CartOfflineError)) console.error(restoreError);
+    } finally {
+      restoreButton.disabled = false;
+    }
+  };
+
+  /**
+   * Forgets the previous cart.
+   */
+  dismiss = () => {
+    cartSnapshot.clear();
+    this.hidden = true;
+  };
+
+  /**
+   * Shows the banner while the cart is empty and a previous cart is stored.
+   * @param {number} itemCount - The number of items in the cart.
+   */
+  #update = (itemCount) => {
+    this.hidden = itemCount > 0 || !cartSnapshot.snapshot;
+  };
+}
+
+if (!customElements.get('cart-restore-banner-component')) {
+  customElements.define('cart-restore-banner-component', CartRestoreBannerComponent);
+}
@@ -0,0 +1,288 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, CartErrorEvent, ThemeEvents } from '@theme/events';
+import { cartPerformance } from '@theme/performance';
+import { cartQueue, CartOfflineError } from '@theme/cart-queue';
+import { sectionRenderer } from '@theme/section-renderer';
+import { SavedForLater } from '@theme/saved-for-later';
+import { getCartSectionIds } from '@theme/utilities';
+
+/**
+ * @typedef {import('@theme/saved-for-later').SavedItem} SavedItem
+ */
+
+/**
+ * The section that renders a saved item.
+ */
+const SAVED_ITEM_SECTION_ID = 'section-rendering-cart-saved-item';
+
+/**
+ * The rendered saved items, kept for the session so every page load doesn't render them again.
+ */
+const STORAGE_KEY_PREFIX = 'cart-saved-item';
+
+/** @constant {number} How long a rendered saved item is kept, in milliseconds */
+const RENDER_MAX_AGE = 5 * 60 * 1000;
+
+/**
+ * A custom element that lists the items saved for later under the cart items, and moves them back into the cart.
+ *
+ * Each item is rendered by the Section Rendering API for its variant, so prices and availability are current. The
+ * rendered items are kept for a few minutes of the session, and the availability is checked again before an item is
+ * moved. The list is rendered client side from local storage, so the subtree is skipped when the cart section is
+ * morphed.
+ *
+ * @typedef {object} CartSavedItemsRefs
+ * @property {HTMLElement} list - The list the saved items are rendered in.
+ * @property {HTMLElement} liveRegion - The live region.
+ *
+ * @extends Component<CartSavedItemsRefs>
+ */
+class CartSavedItemsComponent extends Component {
+  requiredRefs = ['list', 'liveRegion'];
+
+  /**
+   * The saved item each rendered item stands for.
+   * @type {WeakMap<HTMLElement, SavedItem>}
+   */
+  #items = new WeakMap();
+
+  /**
+   * Incremented on every render so an older list can't overwrite a newer one.
+   */
+  #renderId = 0;
+
+  /** @type {number | undefined} */
+  #liveRegionTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+    window.addEventListener('storage', this.#onStorage);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+    window.removeEventListener('storage', this.#onStorage);
+    clearTimeout(this.#liveRegionTimeout);
+  }
+
+  /**
+   * Moves a saved item back into the cart, once its variant is confirmed to be available.
+   * @param {MouseEvent & { target: HTMLElement }} event - The click event on the move button.
+   */
+  moveToCart = async (event) => {
+    const element = event.target.closest('.cart-saved-items__item');
+    const item = element instanceof HTMLElement ? this.#items.get(element) : undefined;
+    if (!(element instanceof HTMLElement) || !item) return;
+
+    const button = event.target.closest('button');
+    if (button) button.disabled = true;
+
+    this.#setItemError(element, '');
+
+    try {
+      if (!(await isAvailable(item))) {
+        this.#setItemError(element, this.dataset.unavailableText ?? '');
+        return;
+      }
+
+      const response = await cartQueue.enqueue({
+        type: 'add',
+        body: {
+          items: [{ id: item.variantId, quantity: item.quantity, properties: item.properties }],
+          sections: getCartSectionIds().join(','),
+          sections_url: window.location.pathname,
+        },
+        sourceId: this.id,
+      });
+
+      if (response.status) {
+        this.dispatchEvent(new CartErrorEvent(this.id, response.message));
+        this.#setItemError(element, response.description ?? response.message);
+        return;
+      }
+
+      SavedForLater.removeItem(item);
+      this.#announce(Theme.translations.added ?? '');
+
+      this.dispatchEvent(
+        new CartAddEvent({}, item.variantId.toString(), {
+          source: 'cart-saved-items-component',
+          itemCount: item.quantity,
+          productId: String(item.productId),
+          sections: response.sections,
+          sequence: cartQueue.sequenceOf(response),
+        })
+      );
+    } catch (error) {
+      if (error instanceof CartOfflineError) {
+        // The add is queued and will be replayed when the shopper is back online.
+        SavedForLater.removeItem(item);
+        this.#announce(error.message);
+        return;
+      }
+
+      console.error(error);
+    } finally {
+      if (button?.isConnected) button.disabled = false;
+      cartPerformance.measureFromEvent('add:user-action', event);
+    }
+  };
+
+  /**
+   * Removes a saved item from the list.
+   * @param {MouseEvent & { target: HTMLElement }} event - The click event on the remove button.
+   */
+  removeItem = (event) => {
+    const element = event.target.closest('.cart-saved-items__item');
+    const item = element instanceof HTMLElement ? this.#items.get(element) : undefined;
+
+    if (item) SavedForLater.removeItem(item);
+  };
+
+  /**
+   * Renders the saved items.
+   */
+  #render = async () => {
+    const renderId = ++this.#renderId;
+    const items = SavedForLater.getItems();
+
+    const elements = await Promise.all(items.map((item) => this.#renderItem(item)));
+    if (renderId !== this.#renderId) return;
+
+    /** @type {HTMLElement[]} */
+    const renderedElements = [];
+
+    elements.forEach((element, index) => {
+      const item = items[index];
+      if (!item) return;
+
+      if (element === null) {
+        // The product or variant no longer exists.
+        SavedForLater.removeItem(item);
+      } else if (element) {
+        this.#items.set(element, item);
+        renderedElements.push(element);
+      }
+    });
+
+    this.refs.list.replaceChildren(...renderedElements);
+    this.hidden = renderedElements.length === 0;
+  };
+
+  /**
+   * Renders a saved item with the Section Rendering API.
+   * @param {SavedItem} item - The saved item.
+   * @returns {Promise<HTMLElement | null | undefined>} The item, null if its variant no longer exists, or undefined
+   * if it couldn't be rendered.
+   */
+  async #renderItem(item) {
+    try {
+      const url = new URL(item.url, window.location.origin);
+      url.searchParams.set('variant', String(item.variantId));
+
+      const html = await getSavedItemHTML(url);
+      const element = new DOMParser().parseFromString(html, 'text/html').querySelector('.cart-saved-items__item');
+
+      if (!(element instanceof HTMLElement) || element.dataset.variantId !== String(item.variantId)) return null;
+
+      const quantity = element.querySelector('.cart-saved-items__quantity');
+      if (quantity) {
+        quantity.textContent = (this.dataset.quantityText ?? '').replace('[quantity]', String(item.quantity));
+      }
+
+      return /** @type {HTMLElement} */ (document.importNode(element, true));
+    } catch (error) {
+      console.error(error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Renders the saved items again when another tab changes them.
+   * @param {StorageEvent} event - The storage event.
+   */
+  #onStorage = (event) => {
+    if (event.key === SavedForLater.STORAGE_KEY) this.#render();
+  };
+
+  /**
+   * @param {HTMLElement} element - The saved item.
+   * @param {string} message - The error, or an empty string to clear it.
+   */
+  #setItemError(element, message) {
+    const error = element.querySelector('.cart-saved-items__error');
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * @param {string} text - The text to announce.
+   */
+  #announce(text) {
+    const { liveRegion } = this.refs;
+
+    liveRegion.textContent = text;
+
+    clearTimeout(this.#liveRegionTimeout);
+    this.#liveRegionTimeout = setTimeout(() => {
+      liveRegion.textContent = '';
+    }, 5000);
+  }
+}
+
+/**
+ * Renders the saved item section for a variant URL, from the session if it was rendered recently.
+ * @param {URL} url - The URL of the variant.
+ * @returns {Promise<string>} The section HTML.
+ */
+async function getSavedItemHTML(url) {
+  // The theme editor always renders the current settings.
+  if (Shopify.designMode) return sectionRenderer.getSectionHTML(SAVED_ITEM_SECTION_ID, false, url);
+
+  const storageKey = `${STORAGE_KEY_PREFIX}:${url.pathname}${url.search}`;
+
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(storageKey) ?? 'null');
+    if (stored && Date.now() - stored.renderedAt < RENDER_MAX_AGE) return stored.html;
+  } catch (_) {
+    // Render the item again.
+  }
+
+  const html = await sectionRenderer.getSectionHTML(SAVED_ITEM_SECTION_ID, true, url);
+
+  try {
+    sessionStorage.setItem(storageKey, JSON.stringify({ html, renderedAt: Date.now() }));
+  } catch (_) {
+    // Storage can be full or disabled, the item is only rendered again.
+  }
+
+  return html;
+}
+
+/**
+ * Checks if the saved variant is available, from the product JSON.
+ * @param {SavedItem} item - The saved item.
+ * @returns {Promise<boolean>}
+ */
+async function isAvailable(item) {
+  const url = new URL(item.url, window.location.origin);
+  const response = await fetch(`${url.pathname}.js`);
+  if (!response.ok) return false;
+
+  /** @type {{ variants: Array<{ id: number, available: boolean }> }} */
+  const product = await response.json();
+
+  return product.variants.some((variant) => variant.id === item.variantId && variant.available);
+}
+
+if (!customElements.get('cart-saved-items-component')) {
+  customElements.define('cart-saved-items-component', CartSavedItemsComponent);
+}
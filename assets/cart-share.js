@@ -0,0 +1,107 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { getCartPermalink, toSnapshot } from '@theme/cart-snapshot';
+
+/**
+ * The longest link that fits in a QR code at the error correction level used by the QR code image.
+ */
+const QR_CODE_MAX_LENGTH = 1200;
+
+/**
+ * A custom element that shares the cart with a permalink, to copy or to scan with a phone.
+ *
+ * The link is built client side from the cart store, so the subtree is skipped when the cart section is morphed.
+ * The QR code is only drawn while the disclosure is open.
+ *
+ * @typedef {object} CartShareRefs
+ * @property {HTMLDetailsElement} details - The disclosure.
+ * @property {HTMLInputElement} url - The read-only field showing the link.
+ * @property {HTMLElement} copyToClipboard - The copy to clipboard component.
+ * @property {HTMLElement} qrCode - The container of the QR code.
+ *
+ * @extends Component<CartShareRefs>
+ */
+class CartShareComponent extends Component {
+  requiredRefs = ['details', 'url', 'copyToClipboard', 'qrCode'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /**
+   * The link the QR code was drawn for.
+   * @type {string}
+   */
+  #qrCodeUrl = '';
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribe(
+      (cart) => (cart.item_count > 0 ? getCartPermalink(toSnapshot(cart)) : ''),
+      this.#update
+    );
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Draws the QR code when the disclosure opens.
+   */
+  handleToggle() {
+    if (this.refs.details.open) this.#renderQRCode();
+  }
+
+  /**
+   * Selects the link when the field is focused, so it's easy to copy by hand.
+   */
+  selectUrl() {
+    this.refs.url.select();
+  }
+
+  /**
+   * @param {string} url - The cart permalink, or an empty string when the cart is empty.
+   */
+  #update = (url) => {
+    const { url: urlField, copyToClipboard } = this.refs;
+
+    this.hidden = !url;
+    urlField.value = url;
+    copyToClipboard.setAttribute('text-to-copy', url);
+    copyToClipboard.querySelector('[ref="copySuccessMessage"]')?.classList.add('visually-hidden');
+
+    if (this.refs.details.open) this.#renderQRCode();
+  };
+
+  /**
+   * Draws the QR code for the current link.
+   */
+  #renderQRCode() {
+    const { url, qrCode } = this.refs;
+    if (!url.value || url.value === this.#qrCodeUrl) return;
+
+    this.#qrCodeUrl = url.value;
+
+    // Very large carts can't be encoded, they can still be shared with the link.
+    if (url.value.length > QR_CODE_MAX_LENGTH) {
+      qrCode.replaceChildren();
+      return;
+    }
+
+    const image = document.createElement('qr-code-image');
+    image.className = 'cart-share__qr-code';
+    image.dataset.identifier = url.value;
+    image.setAttribute('width', '144');
+    image.setAttribute('height', '144');
+    image.setAttribute('alt', this.dataset.qrCodeAlt ?? '');
+
+    qrCode.replaceChildren(image);
+  }
+}
+
+if (!customElements.get('cart-share-component')) {
+  customElements.define('cart-share-component', CartShareComponent);
+}
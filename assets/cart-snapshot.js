@@ -0,0 +1,223 @@
+import { DiscountUpdateEvent } from '@theme/events';
+import { cartQueue } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { getCartSectionIds } from '@theme/utilities';
+
+/**
+ * @typedef {import('@theme/cart-store').CartState} CartState
+ */
+
+/**
+ * @typedef {Object} CartSnapshotItem
+ * @property {number} variantId - The variant.
+ * @property {number} quantity - The quantity.
+ * @property {Record<string, string>} properties - The line item properties.
+ */
+
+/**
+ * @typedef {Object} CartSnapshotData
+ * @property {string} token - The token of the cart the snapshot was taken from.
+ * @property {CartSnapshotItem[]} items - The cart lines.
+ * @property {string} note - The cart note.
+ * @property {string[]} discountCodes - The discount codes applied to the cart.
+ * @property {number} savedAt - When the snapshot was taken, in milliseconds since the epoch.
+ */
+
+/** @constant {string} The key used to store the snapshot in local storage */
+const STORAGE_KEY = 'cartSnapshot';
+
+/** @constant {number} How long a snapshot is kept, in milliseconds */
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Keeps a snapshot of the last non-empty cart in local storage, so a returning visitor can restore it, and builds
+ * cart permalinks to share a cart with another device.
+ *
+ * The snapshot follows the cart store, which is updated by every cart update event. It's cleared when the shopper
+ * empties the cart themselves, and when they start checkout, so items that were already bought aren't offered again.
+ * A cart replaced by a new one, e.g. because it expired, keeps its snapshot so it can be restored.
+ */
+class CartSnapshot {
+  constructor() {
+    cartStore.subscribe((cart) => cart, this.#record);
+    document.addEventListener('submit', this.#handleSubmit);
+    document.addEventListener('click', this.#handleClick);
+  }
+
+  /**
+   * The stored snapshot, or null if there is none or it's too old.
+   * @returns {CartSnapshotData | null}
+   */
+  get snapshot() {
+    try {
+      /** @type {CartSnapshotData | null} */
+      const snapshot = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+
+      if (!snapshot?.items?.length || Date.now() - snapshot.savedAt > MAX_AGE) return null;
+
+      return snapshot;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Removes the stored snapshot.
+   */
+  clear() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (_) {
+      // Storage is disabled, there's no snapshot to clear.
+    }
+  }
+
+  /**
+   * Adds the lines of the stored snapshot to the cart, then applies its note and discount codes.
+   * Lines that can't be added anymore, e.g. because they sold out, are skipped.
+   *
+   * @param {string} sourceId - The id of the element the cart was restored from.
+   * @returns {Promise<{ itemCount: number, sections: Record<string, string> | undefined, sequence?: number }>} The
+   * number of items added, and the cart sections rendered by the last successful request with its sequence number.
+   */
+  async restore(sourceId) {
+    const snapshot = this.snapshot;
+    if (!snapshot) return { itemCount: 0, sections: undefined };
+
+    const items = snapshot.items.map(({ variantId, quantity, properties }) => ({ id: variantId, quantity, properties }));
+
+    const response = await this.#add(items, sourceId);
+    const added = response.status ? [] : items;
+    let sections = response.sections;
+    let sequence = cartQueue.sequenceOf(response);
+
+    if (response.status && items.length > 1) {
+      // Some lines can't be added anymore, add the others one by one.
+      for (const item of items) {
+        const itemResponse = await this.#add([item], sourceId);
+        if (itemResponse.status) continue;
+
+        added.push(item);
+        sections = itemResponse.sections;
+        sequence = cartQueue.sequenceOf(itemResponse);
+      }
+    }
+
+    const itemCount = added.reduce((total, item) => total + item.quantity, 0);
+
+    if (itemCount && (snapshot.note || snapshot.discountCodes.length)) {
+      const cart = await cartQueue.enqueue({
+        type: 'update',
+        body: { note: snapshot.note, discount: snapshot.discountCodes.join(',') },
+        sourceId,
+      });
+
+      // The cart sections re-render themselves on discount updates.
+      document.dispatchEvent(new DiscountUpdateEvent(cart, sourceId));
+    }
+
+    return { itemCount, sections, sequence };
+  }
+
+  /**
+   * @param {Array<{ id: number, quantity: number, properties: Record<string, string> }>} items - The items to add.
+   * @param {string} sourceId - The id of the element the cart was restored from.
+   * @returns {Promise<any>} The cart response.
+   */
+  #add(items, sourceId) {
+    return cartQueue.enqueue({
+      type: 'add',
+      body: {
+        items,
+        sections: getCartSectionIds().join(','),
+        sections_url: window.location.pathname,
+      },
+      sourceId,
+    });
+  }
+
+  /**
+   * Stores the cart when it has items, and clears the snapshot when the shopper empties the cart.
+   * An empty cart with another token is a new cart, the snapshot of the previous one is kept.
+   * @param {CartState} cart - The cart.
+   * @param {CartState | undefined} previousCart - The cart before the update.
+   */
+  #record = (cart, previousCart) => {
+    if (cart.item_count > 0) {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(toSnapshot(cart)));
+      } catch (_) {
+        // Storage can be full or disabled, the cart just can't be restored later.
+      }
+    } else if (previousCart?.token === cart.token && previousCart.item_count > 0) {
+      this.clear();
+    }
+  };
+
+  /**
+   * Clears the snapshot when a cart form is submitted to checkout.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  #handleSubmit = (event) => {
+    const submitter = event.submitter;
+
+    if (submitter instanceof HTMLButtonElement && submitter.name === 'checkout') this.clear();
+  };
+
+  /**
+   * Clears the snapshot when an accelerated checkout button of the cart is clicked.
+   * Blocked buttons are inert, so they don't receive clicks.
+   * @param {MouseEvent} event - The click event.
+   */
+  #handleClick = (event) => {
+    if (event.target instanceof Element && event.target.closest('.additional-checkout-buttons')) this.clear();
+  };
+}
+
+/**
+ * Takes a snapshot of a cart.
+ * @param {CartState} cart - The cart.
+ * @returns {CartSnapshotData} The snapshot.
+ */
+export function toSnapshot(cart) {
+  return {
+    token: cart.token,
+    items: cart.items.map((item) => ({
+      variantId: item.variant_id,
+      quantity: item.quantity,
+      properties: item.properties ?? {},
+    })),
+    note: cart.note ?? '',
+    discountCodes: (cart.discount_codes ?? [])
+      .filter((discountCode) => discountCode.applicable)
+      .map((discountCode) => discountCode.code),
+    savedAt: Date.now(),
+  };
+}
+
+/**
+ * Builds a cart permalink, e.g. `https://shop.com/cart/123:1,456:2?discount=SUMMER`, that fills a new cart with the
+ * lines of the snapshot. Permalinks can't carry line item properties, so lines only differing by their properties
+ * are merged.
+ *
+ * @param {CartSnapshotData} snapshot - The snapshot.
+ * @returns {string} The permalink.
+ */
+export function getCartPermalink(snapshot) {
+  /** @type {Map<number, number>} */
+  const quantities = new Map();
+
+  for (const { variantId, quantity } of snapshot.items) {
+    quantities.set(variantId, (quantities.get(variantId) ?? 0) + quantity);
+  }
+
+  const lines = Array.from(quantities, ([variantId, quantity]) => `${variantId}:${quantity}`).join(',');
+  const url = new URL(`${Theme.routes.cart_url}/${lines}`, window.location.origin);
+
+  if (snapshot.discountCodes.length) url.searchParams.set('discount', snapshot.discountCodes.join(','));
+  if (snapshot.note) url.searchParams.set('note', snapshot.note);
+
+  return url.toString();
+}
+
+export const cartSnapshot = new CartSnapshot();
@@ -0,0 +1,211 @@
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * @typedef {Object} CartLine
+ * @property {string} key - The line item key.
+ * @property {number} id - The variant id.
+ * @property {number} variant_id - The variant id.
+ * @property {number} product_id - The product id.
+ * @property {string} title - The line title.
+ * @property {number} quantity - The quantity.
+ * @property {number} price - The unit price, in cents.
+ * @property {number} final_price - The unit price after line discounts, in cents.
+ * @property {number} line_price - The line price, in cents.
+ * @property {number} final_line_price - The line price after line discounts, in cents.
+ * @property {Record<string, string>} properties - The line item properties.
+ * @property {{ selling_plan: { id: number, name: string } } | null} selling_plan_allocation - The selling plan allocation.
+ * @property {string | null} image - The line image URL.
+ * @property {string} url - The line URL.
+ * @property {Array<{ amount: number, discount_application: { title: string, type: string } }>} [line_level_discount_allocations] - The line level discounts.
+ */
+
+/**
+ * @typedef {Object} CartDiscountCode
+ * @property {string} code - The discount code.
+ * @property {boolean} applicable - Whether the code applies to the cart.
+ */
+
+/**
+ * @typedef {Object} CartState
+ * @property {string} token - The cart token.
+ * @property {number} item_count - The number of items in the cart.
+ * @property {number} items_subtotal_price - The subtotal of the items, in cents.
+ * @property {number} original_total_price - The total before cart level discounts, in cents.
+ * @property {number} total_price - The total price, in cents.
+ * @property {number} total_discount - The total discount, in cents.
+ * @property {string} currency - The cart currency.
+ * @property {string | null} note - The cart note.
+ * @property {Record<string, string>} attributes - The cart attributes.
+ * @property {CartLine[]} items - The cart lines.
+ * @property {CartDiscountCode[]} [discount_codes] - The discount codes entered on the cart.
+ * @property {Array<{ title: string, type: string, total_allocated_amount: number }>} cart_level_discount_applications - The cart level discounts.
+ */
+
+/**
+ * @template T
+ * @typedef {Object} CartSubscription
+ * @property {(cart: CartState) => T} selector - Picks the slice of the cart the subscriber cares about.
+ * @property {(value: T, previousValue: T | undefined) => void} callback - Called when the slice changes.
+ * @property {T | undefined} value - The last value passed to the callback.
+ */
+
+/**
+ * Holds the last known `/cart.js` snapshot and notifies subscribers when the part of the cart they select changes.
+ *
+ * The store is seeded from the cart JSON rendered in the page, and kept up to date by every cart and discount
+ * update event: events carrying a full cart object are applied as is, others trigger a refetch of `/cart.js`.
+ */
+class CartStore {
+  /** @type {CartState | null} */
+  #state = null;
+
+  /** @type {Set<CartSubscription<any>>} */
+  #subscriptions = new Set();
+
+  /**
+   * Incremented on every refresh so an older response can't overwrite a newer one.
+   * @type {number}
+   */
+  #refreshId = 0;
+
+  constructor() {
+    const initialState = document.getElementById('cart-json')?.textContent;
+
+    if (initialState) {
+      try {
+        this.#state = JSON.parse(initialState);
+      } catch (_) {
+        // no-op, the cart will be fetched on the next update
+      }
+    }
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartEvent);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#onCartEvent);
+
+    // Pages restored from the back/forward cache may show a cart that changed in another page.
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) this.refresh();
+    });
+  }
+
+  /**
+   * The last known cart.
+   * @returns {CartState | null}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * Subscribes to a slice of the cart. The callback is called right away when the cart is known,
+   * then every time the selected value changes.
+   *
+   * @template T
+   * @param {(cart: CartState) => T} selector - Picks the slice of the cart to watch.
+   * @param {(value: T, previousValue: T | undefined) => void} callback - Called with the new and previous values.
+   * @returns {() => void} A function that removes the subscription.
+   */
+  subscribe(selector, callback) {
+    /** @type {CartSubscription<T>} */
+    const subscription = { selector, callback, value: undefined };
+
+    this.#subscriptions.add(subscription);
+
+    if (this.#state) {
+      subscription.value = selector(this.#state);
+      callback(subscription.value, undefined);
+    }
+
+    return () => this.#subscriptions.delete(subscription);
+  }
+
+  /**
+   * Replaces the cart snapshot and notifies the subscribers whose slice changed.
+   * @param {CartState} cart - The new cart.
+   */
+  set(cart) {
+    this.#state = cart;
+
+    for (const subscription of this.#subscriptions) {
+      // A failing subscriber mustn't keep the others from being notified.
+      try {
+        const value = subscription.selector(cart);
+        const previousValue = subscription.value;
+
+        if (isEqual(value, previousValue)) continue;
+
+        subscription.value = value;
+        subscription.callback(value, previousValue);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Fetches the cart from the server.
+   * @returns {Promise<CartState | null>} The cart, or null if the request failed or was superseded.
+   */
+  async refresh() {
+    const refreshId = ++this.#refreshId;
+
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`);
+      const cart = await response.json();
+
+      if (refreshId !== this.#refreshId) return null;
+
+      this.set(cart);
+      return cart;
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  }
+
+  /**
+   * Updates the store from a cart or discount update event.
+   * @param {Event} event - The event.
+   */
+  #onCartEvent = (event) => {
+    const resource = /** @type {CustomEvent} */ (event).detail?.resource;
+
+    if (isCart(resource)) {
+      // Invalidate any refresh still in flight, the event carries a newer cart.
+      this.#refreshId++;
+      this.set(resource);
+    } else {
+      this.refresh();
+    }
+  };
+}
+
+/**
+ * Checks if a value is a full cart object.
+ * @param {unknown} value - The value to check.
+ * @returns {value is CartState} Whether the value is a cart.
+ */
+function isCart(value) {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    'token' in value &&
+    'item_count' in value &&
+    Array.isArray(/** @type {CartState} */ (value).items)
+  );
+}
+
+/**
+ * Compares two selected values. Objects and arrays are compared by their contents.
+ * @param {unknown} a - The first value.
+ * @param {unknown} b - The second value.
+ * @returns {boolean} Whether the values are equal.
+ */
+function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export const cartStore = new CartStore();
@@ -0,0 +1,116 @@
+import { Component } from '@theme/component';
+import { formatPrice, prefersReducedMotion } from '@theme/utilities';
+import { cartStore } from '@theme/cart-store';
+
+/**
+ * @typedef {Object} ThresholdTier
+ * @property {number} threshold - The amount to reach, in cents of the presentment currency.
+ * @property {string} label - What the shopper unlocks, e.g. "free shipping".
+ */
+
+/**
+ * A custom element that shows how far the cart is from the next spend threshold.
+ *
+ * Tiers are read from the `data-tiers` attribute as a comma separated list of `amount:label` pairs, with amounts
+ * in the store currency. The progress follows the cart store, which is kept up to date by the cart and discount
+ * update events, and every tier unlocked by a cart change is announced in the live region.
+ *
+ * @typedef {Object} CartThresholdRefs
+ * @property {HTMLElement} message - The progress message.
+ * @property {HTMLElement} progressBar - The progress bar, filled through the `--threshold-progress` property.
+ * @property {HTMLElement} liveRegion - The live region tier unlocks are announced in.
+ *
+ * @extends {Component<CartThresholdRefs>}
+ */
+class CartThresholdComponent extends Component {
+  requiredRefs = ['message', 'progressBar', 'liveRegion'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /** @type {number | undefined} */
+  #liveRegionTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribe((cart) => cart.total_price, this.#update);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    clearTimeout(this.#liveRegionTimeout);
+  }
+
+  /**
+   * The tiers, sorted by threshold.
+   * @returns {ThresholdTier[]}
+   */
+  get tiers() {
+    const rate = Number(Shopify.currency.rate) || 1;
+
+    return (this.dataset.tiers ?? '')
+      .split(',')
+      .map((tier) => {
+        const [amount = '', ...label] = tier.split(':');
+
+        return { threshold: Math.round(parseFloat(amount) * 100 * rate), label: label.join(':').trim() };
+      })
+      .filter((tier) => tier.threshold > 0 && tier.label)
+      .sort((a, b) => a.threshold - b.threshold);
+  }
+
+  /**
+   * Renders the progress towards the next tier.
+   * @param {number} total - The cart total, in cents.
+   * @param {number | undefined} previousTotal - The previous cart total, in cents.
+   */
+  #update = (total, previousTotal) => {
+    const { message, progressBar } = this.refs;
+    const { tiers } = this;
+    const nextTier = tiers.find((tier) => tier.threshold > total);
+    const lastTier = tiers[tiers.length - 1];
+
+    if (!lastTier) return;
+
+    if (nextTier) {
+      message.textContent = (this.dataset.remainingText ?? '')
+        .replace('[amount]', formatPrice(nextTier.threshold - total))
+        .replace('[label]', nextTier.label);
+    } else {
+      message.textContent = (this.dataset.unlockedText ?? '').replace('[label]', lastTier.label);
+    }
+
+    progressBar.classList.toggle('cart-threshold__bar--instant', previousTotal === undefined || prefersReducedMotion());
+    progressBar.style.setProperty('--threshold-progress', `${Math.min(total / lastTier.threshold, 1) * 100}%`);
+    this.toggleAttribute('data-complete', !nextTier);
+
+    if (previousTotal === undefined) return;
+
+    const unlockedTiers = tiers.filter((tier) => tier.threshold > previousTotal && tier.threshold <= total);
+    if (unlockedTiers.length) this.#announce(unlockedTiers);
+  };
+
+  /**
+   * Announces the tiers the last cart change unlocked.
+   * @param {ThresholdTier[]} unlockedTiers - The unlocked tiers.
+   */
+  #announce(unlockedTiers) {
+    const { liveRegion } = this.refs;
+
+    liveRegion.textContent = unlockedTiers
+      .map((tier) => (this.dataset.unlockedText ?? '').replace('[label]', tier.label))
+      .join(' ');
+
+    clearTimeout(this.#liveRegionTimeout);
+    this.#liveRegionTimeout = setTimeout(() => {
+      liveRegion.textContent = '';
+    }, 5000);
+  }
+}
+
+if (!customElements.get('cart-threshold-component')) {
+  customElements.define('cart-threshold-component', CartThresholdComponent);
+}
@@ -0,0 +1,276 @@
+import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
+import { CartErrorEvent, CartUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { fetchProductPage } from '@theme/quick-add';
+import { cartQueue } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { getCartSectionIds } from '@theme/utilities';
+
+/**
+ * @typedef {import('@theme/cart-store').CartLine} CartLine
+ */
+
+/**
+ * @typedef {Object} SwappedLine
+ * @property {string} key - The key of the line being swapped.
+ * @property {string} variantId - The variant currently in the line.
+ * @property {string[]} sectionIds - The cart sections to re-render once the line is swapped.
+ */
+
+/**
+ * A dialog that lets shoppers pick another variant for a cart line.
+ *
+ * The product's variant picker is loaded in the dialog. Once a different, available variant is selected,
+ * the line is replaced by the new variant with the same quantity, properties and selling plan, and keeps its position
+ * in the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLElement} content - The element the variant picker is rendered in.
+ * @property {HTMLElement} status - The element unavailable combinations and errors are reported in.
+ * @property {HTMLButtonElement} confirmButton - The button that swaps the line.
+ *
+ * @extends {DialogComponent}
+ */
+class CartVariantSwapDialog extends DialogComponent {
+  requiredRefs = ['dialog', 'content', 'status', 'confirmButton'];
+
+  /** @type {SwappedLine | null} */
+  #line = null;
+
+  /** @type {string | null} */
+  #selectedVariantId = null;
+
+  /** @type {AbortController | null} */
+  #abortController = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.addEventListener(DialogCloseEvent.eventName, this.#onDialogClose);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.removeEventListener(DialogCloseEvent.eventName, this.#onDialogClose);
+  }
+
+  get #content() {
+    return /** @type {HTMLElement} */ (this.refs.content);
+  }
+
+  get #status() {
+    return /** @type {HTMLElement} */ (this.refs.status);
+  }
+
+  get #confirmButton() {
+    return /** @type {HTMLButtonElement} */ (this.refs.confirmButton);
+  }
+
+  /**
+   * Opens the dialog for the cart line the event was triggered from.
+   * @param {Event} event - The click event.
+   */
+  async open(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const row = event.target.closest('[data-key]');
+    if (!(row instanceof HTMLElement)) return;
+
+    const { key, productUrl, variantId } = row.dataset;
+    if (!key || !productUrl || !variantId) return;
+
+    this.#line = { key, variantId, sectionIds: getCartSectionIds() };
+    this.#selectedVariantId = null;
+    this.#setStatus('');
+    this.#confirmButton.disabled = true;
+    this.#content.replaceChildren();
+
+    this.showDialog();
+
+    this.#abortController?.abort();
+    this.#abortController = new AbortController();
+
+    try {
+      const html = await fetchProductPage(`${productUrl}?variant=${variantId}`, this.#abortController.signal);
+      const variantPicker = html.querySelector('variant-picker');
+
+      if (!variantPicker) {
+        this.#setStatus(this.dataset.unavailableText);
+        return;
+      }
+
+      this.#content.replaceChildren(variantPicker);
+    } catch (error) {
+      if (error instanceof Error && error.name === 'AbortError') return;
+
+      this.#setStatus(this.dataset.errorText);
+    }
+  }
+
+  /**
+   * Cancels the pending product page request when the dialog closes.
+   */
+  #onDialogClose = () => {
+    this.#abortController?.abort();
+  };
+
+  /**
+   * Replaces the cart line with the selected variant, at the same position in the cart.
+   *
+   * The cart API can't change the variant of a line, and adds lines at the top of the cart. So the swapped line and
+   * the lines above it are removed in a single request, then added back in a single request with the new variant.
+   * Adding is all or nothing: if it's rejected, the original lines are added back instead.
+   */
+  async confirm() {
+    const line = this.#line;
+    const selectedVariantId = this.#selectedVariantId;
+    if (!line || !selectedVariantId) return;
+
+    const cart = cartStore.state ?? (await cartStore.refresh());
+    const currentLine = cart?.items.find((item) => item.key === line.key);
+
+    if (!cart || !currentLine) {
+      this.#setStatus(this.dataset.errorText);
+      return;
+    }
+
+    const linesAbove = cart.items.slice(0, cart.items.indexOf(currentLine));
+    const sections = {
+      sections: line.sectionIds.join(','),
+      sections_url: window.location.pathname,
+    };
+
+    this.#confirmButton.disabled = true;
+    this.#confirmButton.setAttribute('aria-busy', 'true');
+
+    try {
+      const removed = await cartQueue.enqueue({
+        type: 'update',
+        body: { updates: Object.fromEntries([currentLine, ...linesAbove].map((item) => [item.key, 0])) },
+        sourceId: this.id,
+      });
+
+      if (removed.status) throw new Error(removed.description ?? removed.message);
+
+      const response = await this.#addLines(toAddItem(currentLine, selectedVariantId), linesAbove, sections);
+
+      if (!response.status) {
+        this.#dispatchCartUpdate(response);
+        this.closeDialog();
+        return;
+      }
+
+      // Put the original lines back so the shopper doesn't lose them.
+      const restored = await this.#addLines(toAddItem(currentLine), linesAbove, sections);
+
+      const message = restored.status
+        ? this.dataset.restoreErrorText ?? restored.description ?? restored.message
+        : response.description ?? response.message;
+
+      this.#setStatus(message);
+      this.dispatchEvent(new CartErrorEvent(this.id, message));
+
+      if (restored.status) {
+        cartStore.refresh();
+      } else {
+        this.#dispatchCartUpdate(restored);
+      }
+
+      this.#confirmButton.disabled = false;
+    } catch (error) {
+      this.#setStatus(error instanceof Error ? error.message : this.dataset.errorText);
+      this.#confirmButton.disabled = false;
+      cartStore.refresh();
+    } finally {
+      this.#confirmButton.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Adds an item followed by the lines that were above it. Every added item goes to the top of the cart, so the
+   * items are sent bottom-up.
+   * @param {Record<string, unknown>} item - The item to add.
+   * @param {CartLine[]} linesAbove - The lines to add above the item, in cart order.
+   * @param {Record<string, string>} sections - The cart sections to render.
+   * @returns {Promise<any>} The cart response.
+   */
+  #addLines(item, linesAbove, sections) {
+    return cartQueue.enqueue({
+      type: 'add',
+      body: { items: [...linesAbove.map((lineAbove) => toAddItem(lineAbove)), item].reverse(), ...sections },
+      sourceId: this.id,
+    });
+  }
+
+  /**
+   * Re-renders the cart sections with the response of the last request.
+   * @param {any} response - The response of the last request.
+   */
+  #dispatchCartUpdate(response) {
+    this.dispatchEvent(
+      new CartUpdateEvent({}, this.id, {
+        source: 'cart-variant-swap-dialog',
+        sections: response.sections,
+        sequence: cartQueue.sequenceOf(response),
+      })
+    );
+  }
+
+  /**
+   * Enables the confirm button when the selected variant exists, is available and differs from the line's variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    const variant = event.detail.resource;
+
+    this.#selectedVariantId = null;
+    this.#confirmButton.disabled = true;
+
+    if (!variant) {
+      this.#setStatus(this.dataset.unavailableText);
+      return;
+    }
+
+    if (!variant.available) {
+      this.#setStatus(this.dataset.soldOutText);
+      return;
+    }
+
+    this.#setStatus('');
+
+    if (String(variant.id) === this.#line?.variantId) return;
+
+    this.#selectedVariantId = String(variant.id);
+    this.#confirmButton.disabled = false;
+  };
+
+  /**
+   * @param {string | undefined} message - The message to report, or an empty string to clear it.
+   */
+  #setStatus(message) {
+    this.#status.textContent = message ?? '';
+    this.#status.hidden = !message;
+  }
+}
+
+if (!customElements.get('cart-variant-swap-dialog')) {
+  customElements.define('cart-variant-swap-dialog', CartVariantSwapDialog);
+}
+
+/**
+ * Builds the `/cart/add.js` item for a line.
+ * @param {CartLine} line - The cart line.
+ * @param {number | string} [variantId] - The variant to add, defaults to the line's variant.
+ * @returns {Record<string, unknown>} The item.
+ */
+function toAddItem(line, variantId = line.variant_id) {
+  return {
+    id: variantId,
+    quantity: line.quantity,
+    properties: line.properties,
+    ...(line.selling_plan_allocation ? { selling_plan: line.selling_plan_allocation.selling_plan.id } : {}),
+  };
+}
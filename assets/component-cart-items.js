@@ -1,14 +1,30 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import {
+  debounce,
+  formatPrice,
+  onAnimationEnd,
+  prefersReducedMotion,
+  resetShimmer,
+  toggleDisabledReason,
+} from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
   CartUpdateEvent,
+  CartErrorEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartQueue, CartOfflineError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { SavedForLater } from '@theme/saved-for-later';
+import { fetchStockLimits, findOverstockedLines } from '@theme/cart-inventory';
+import { DialogOpenEvent } from '@theme/dialog';
+
+/** @constant {number} The minimum time between two stock checks of the cart lines, in milliseconds */
+const INVENTORY_REVALIDATION_THROTTLE = 60 * 1000;
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
 
@@ -25,21 +41,108 @@ import { cartPerformance } from '@theme/performance';
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /**
+   * The quantities shown optimistically while their change is pending, by line key
+   * @type {Map<string, number>}
+   */
+  #optimisticQuantities = new Map();
+
+  /**
+   * The quantity the variants with more items in the cart than in stock are limited to, by variant id
+   * @type {Map<number, number>}
+   */
+  #stockLimits = new Map();
+
+  /**
+   * The quantity each line with more items than in stock can be reduced to, by line key
+   * @type {Map<string, number>}
+   */
+  #overstockedLines = new Map();
+
+  /**
+   * Incremented on every stock check so an older check can't overwrite a newer one
+   * @type {number}
+   */
+  #inventoryRevalidationId = 0;
+
+  /**
+   * When the stock was last checked, in milliseconds since the epoch
+   * @type {number}
+   */
+  #inventoryRevalidatedAt = 0;
+
+  /** @type {Element | null} */
+  #cartDrawer = null;
+
+  /** @type {number | undefined} */
+  #inventoryRevalidationInterval;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribeLines;
+
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
-    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityInput);
+
+    // Stock can run out while items sit in the cart, so it's checked again periodically, when the shopper comes back
+    // to the page or opens the cart drawer.
+    this.#cartDrawer = this.closest('cart-drawer-component');
+    this.#cartDrawer?.addEventListener(DialogOpenEvent.eventName, this.#revalidateInventory);
+    document.addEventListener('visibilitychange', this.#revalidateInventory);
+    window.addEventListener('focus', this.#revalidateInventory);
+    this.#inventoryRevalidationInterval = window.setInterval(
+      this.#revalidateInventory,
+      INVENTORY_REVALIDATION_THROTTLE
+    );
+    this.#unsubscribeLines = cartStore.subscribe(
+      (cart) => cart.items.map((item) => `${item.key}:${item.quantity}`),
+      this.#renderInventoryWarnings
+    );
+    this.#revalidateInventory();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityInput);
+    document.removeEventListener('visibilitychange', this.#revalidateInventory);
+    window.removeEventListener('focus', this.#revalidateInventory);
+    window.clearInterval(this.#inventoryRevalidationInterval);
+    this.#cartDrawer?.removeEventListener(DialogOpenEvent.eventName, this.#revalidateInventory);
+    this.#cartDrawer = null;
+    this.#unsubscribeLines?.();
+  }
+
+  /**
+   * Called when the section is re-rendered. The rendered lines don't know about the stock, so the warnings are
+   * shown again.
+   */
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#renderInventoryWarnings();
   }
 
+  /**
+   * Shows the new line price and cart total as soon as the quantity is entered, while the request waits for the
+   * shopper to stop changing it.
+   * @param {QuantitySelectorUpdateEvent} event - The event.
+   */
+  #onQuantityInput = (event) => {
+    const { quantity, cartLine: line } = event.detail;
+    const row = line ? this.refs.cartItemRows[line - 1] : undefined;
+
+    if (line && row?.dataset.key && quantity > 0 && this.optimisticUpdates && !row.dataset.parentKey) {
+      this.#applyOptimisticUpdate(line, quantity, this.#componentQuantities(row.dataset.key, quantity));
+    }
+
+    this.#debouncedOnChange(event);
+  };
+
   /**
    * Handles QuantitySelectorUpdateEvent change event.
    * @param {QuantitySelectorUpdateEvent} event - The event.
@@ -53,6 +156,9 @@ class CartItemsComponent extends Component {
       return this.onLineItemRemove(line);
     }
 
+    // Components follow the quantity of their parent, they can't be changed on their own.
+    if (this.refs.cartItemRows[line - 1]?.dataset.parentKey) return;
+
     this.updateQuantity({
       line,
       quantity,
@@ -60,7 +166,8 @@ class CartItemsComponent extends Component {
     });
     const lineItemRow = this.refs.cartItemRows[line - 1];
 
-    if (!lineItemRow) return;
+    // Optimistic updates already show the new line price
+    if (!lineItemRow || this.optimisticUpdates) return;
 
     const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
     textComponent?.shimmer();
@@ -69,17 +176,18 @@ class CartItemsComponent extends Component {
   /**
    * Handles the line item removal.
    * @param {number} line - The line item index.
+   * @returns {Promise<boolean>} Whether the line was removed, or its removal queued.
    */
   onLineItemRemove(line) {
-    this.updateQuantity({
+    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+
+    const removed = this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
-
-    if (!cartItemRowToRemove) return;
+    if (!cartItemRowToRemove) return removed;
 
     const rowsToRemove = [
       cartItemRowToRemove,
@@ -99,82 +207,371 @@ class CartItemsComponent extends Component {
       // Remove the row after the animation ends
       onAnimationEnd(row, remove);
     });
+
+    return removed;
   }
 
   /**
-   * Updates the quantity.
-   * @param {Object} config - The config.
-   * @param {number} config.line - The line.
-   * @param {number} config.quantity - The quantity.
-   * @param {string} config.action - The action.
+   * Reduces the quantity of a line to what's in stock, or removes the line when the variant sold out.
+   * @param {number} line - The line item index.
    */
-  updateQuantity(config) {
-    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
+  onLineItemReduceToStock(line) {
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+    const quantity = key ? this.#overstockedLines.get(key) : undefined;
 
-    this.#disableCartItems();
+    if (quantity === undefined) return;
 
-    const { line, quantity } = config;
-    const { cartTotal } = this.refs;
+    if (quantity === 0) {
+      this.onLineItemRemove(line);
+      return;
+    }
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
+    this.updateQuantity({
+      line,
+      quantity,
+      action: 'change',
     });
+  }
 
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
+  /**
+   * Moves a line out of the cart into the items saved for later.
+   * @param {number} line - The line item index.
+   */
+  async onLineItemSaveForLater(line) {
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+    const cartLine = cartStore.state?.items.find((item) => item.key === key);
+
+    if (!cartLine) return;
+
+    // The item is only saved once it's out of the cart, so it can't end up in both.
+    if (!(await this.onLineItemRemove(line))) return;
+
+    SavedForLater.addItem({
+      variantId: cartLine.variant_id,
+      productId: cartLine.product_id,
+      url: cartLine.url,
+      quantity: cartLine.quantity,
+      properties: cartLine.properties ?? {},
     });
+  }
 
-    cartTotal?.shimmer();
+  /**
+   * Saves the properties and selling plan entered in the inline editor of a line.
+   * @param {number} line - The line item index.
+   */
+  onLineItemEdit(line) {
+    const row = this.refs.cartItemRows[line - 1];
+    const key = row?.dataset.key;
+    const cartLine = cartStore.state?.items.find((item) => item.key === key);
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
+    if (!row || !key) return;
 
-        resetShimmer(this);
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker('edit:user-action');
+
+    // Properties are replaced as a whole, so carry over the hidden ones the editor doesn't show. They're read from
+    // the rendered line, which is there even before the cart store is loaded.
+    /** @type {Record<string, string>} */
+    const properties = { ...cartLine?.properties, ...parseProperties(row.dataset.properties) };
+    for (const input of row.querySelectorAll('[data-line-property]')) {
+      if (!(input instanceof HTMLInputElement || input instanceof HTMLTextAreaElement)) continue;
+
+      const name = input.dataset.lineProperty;
+      if (name) properties[name] = input.value;
+    }
+
+    const quantityInput = row.querySelector('input[data-cart-line]');
+    const quantity = quantityInput instanceof HTMLInputElement ? Number(quantityInput.defaultValue) : 1;
+
+    /** @type {Record<string, unknown>} */
+    const body = {
+      id: key,
+      quantity: cartLine?.quantity ?? quantity,
+      properties,
+      sections: this.#sectionsToUpdate().join(','),
+      sections_url: window.location.pathname,
+    };
+
+    const sellingPlan = row.querySelector('[data-line-selling-plan]');
+    if (sellingPlan instanceof HTMLSelectElement) {
+      body.selling_plan = sellingPlan.value ? Number(sellingPlan.value) : null;
+    }
+
+    this.#disableCartItems();
 
+    cartQueue
+      .enqueue({ type: 'change', body, sourceId: this.sectionId, coalesceKey: `edit:${key}` })
+      .then((parsedResponseText) => {
         if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
+          this.#showCartItemError(line, parsedResponseText.errors);
           return;
         }
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
+        const { sections, ...cart } = parsedResponseText;
+        const sequence = cartQueue.sequenceOf(parsedResponseText);
+
+        this.dispatchEvent(
+          new CartUpdateEvent(cart, this.sectionId, {
+            itemCount: cart.item_count,
+            source: 'cart-items-component',
+            sections,
+            sequence,
+            // Editing a line changes its key but keeps its position
+            line: cart.items[line - 1],
+          })
         );
 
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+        morphSection(this.sectionId, sections[this.sectionId], { sequence });
+      })
+      .catch((error) => {
+        if (error instanceof CartOfflineError) {
+          this.#showCartItemError(line, error.message);
+          return;
+        }
+
+        console.error(error);
+      })
+      .finally(() => {
+        this.#enableCartItems();
+        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+      });
+  }
+
+  /**
+   * Updates the quantity. The components of the line, if any, are updated along with it.
+   * @param {Object} config - The config.
+   * @param {number} config.line - The line.
+   * @param {number} config.quantity - The quantity.
+   * @param {string} config.action - The action.
+   * @returns {Promise<boolean>} Whether the quantity was updated, or its update queued.
+   */
+  updateQuantity(config) {
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
+
+    const { line, quantity } = config;
+    const { cartTotal } = this.refs;
+
+    const lineKey = this.refs.cartItemRows[line - 1]?.dataset.key;
+    const componentQuantities = lineKey ? this.#componentQuantities(lineKey, quantity) : new Map();
+
+    const rollback = this.optimisticUpdates
+      ? this.#applyOptimisticUpdate(line, quantity, componentQuantities)
+      : undefined;
+
+    if (!rollback) this.#disableCartItems();
+
+    if (!rollback) cartTotal?.shimmer();
+
+    const sections = this.#sectionsToUpdate().join(',');
+
+    /** @type {import('./cart-queue').CartMutationRequest} */
+    const request =
+      lineKey && componentQuantities.size
+        ? {
+            // A grouped line and its components are updated in a single request, so they can't get out of sync.
+            type: 'update',
+            body: {
+              updates: { [lineKey]: quantity, ...Object.fromEntries(componentQuantities) },
+              sections,
+              sections_url: window.location.pathname,
+            },
+            sourceId: this.sectionId,
+            coalesceKey: `group:${lineKey}`,
+          }
+        : {
+            type: 'change',
+            // Target the line by key when possible so a queued change still applies once the line indexes shift.
+            body: {
+              ...(lineKey ? { id: lineKey } : { line }),
+              quantity,
+              sections,
+              sections_url: window.location.pathname,
+            },
+            sourceId: this.sectionId,
+            coalesceKey: `change:${lineKey ?? line}`,
+          };
+
+    return cartQueue
+      .enqueue(request)
+      .then((parsedResponseText) => {
+        resetShimmer(this);
+
+        // The change endpoint responds with `errors`, the update endpoint with a status and a description.
+        const errors =
+          parsedResponseText.errors ??
+          (parsedResponseText.status ? parsedResponseText.description ?? parsedResponseText.message : undefined);
+
+        if (errors) {
+          if (rollback) {
+            rollback(errors);
+          } else {
+            this.#handleCartError(line, { errors });
+          }
+          return false;
+        }
+
+        // The change endpoint responds with the full cart, alongside the requested sections
+        const { sections, ...cart } = parsedResponseText;
+        const sequence = cartQueue.sequenceOf(parsedResponseText);
 
         this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
+          new CartUpdateEvent(cart, this.sectionId, {
+            itemCount: cart.item_count,
             source: 'cart-items-component',
-            sections: parsedResponseText.sections,
+            sections,
+            sequence,
           })
         );
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        morphSection(this.sectionId, sections[this.sectionId], { sequence });
+        return true;
       })
       .catch((error) => {
+        if (error instanceof CartOfflineError) {
+          // Queued changes keep their optimistic values until they are replayed.
+          resetShimmer(this);
+          this.#showCartItemError(line, error.message);
+          return true;
+        }
+
+        rollback?.(error.message);
         console.error(error);
+        return false;
       })
       .finally(() => {
+        if (lineKey) this.#optimisticQuantities.delete(lineKey);
+        for (const componentKey of componentQuantities.keys()) this.#optimisticQuantities.delete(componentKey);
         this.#enableCartItems();
         cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
       });
   }
 
+  /**
+   * Shows the new line quantity, line price and cart total right away, from the cached cart.
+   *
+   * @param {number} line - The line.
+   * @param {number} quantity - The new quantity.
+   * @param {Map<string, number>} componentQuantities - The new quantity of each component of the line, by line key.
+   * @returns {((reason: string) => void) | undefined} Reverts the update, or undefined if it couldn't be applied.
+   */
+  #applyOptimisticUpdate(line, quantity, componentQuantities) {
+    const cart = cartStore.state;
+    const row = this.refs.cartItemRows[line - 1];
+    const key = row?.dataset.key;
+    const cartLine = cart?.items.find((item) => item.key === key);
+
+    if (!cart || !row || !key || !cartLine) return undefined;
+
+    const { cartTotal } = this.refs;
+    const linePrice = /** @type {TextComponent | null} */ (row.querySelector('.cart-items__price text-component'));
+
+    this.#optimisticQuantities.set(key, quantity);
+
+    if (linePrice && quantity > 0) linePrice.textContent = formatPrice(cartLine.final_price * quantity, cart.currency);
+
+    for (const [componentKey, componentQuantity] of componentQuantities) {
+      this.#optimisticQuantities.set(componentKey, componentQuantity);
+      if (componentQuantity > 0) this.#showLineQuantity(componentKey, componentQuantity);
+    }
+
+    if (cartTotal) cartTotal.textContent = formatPrice(this.#optimisticTotal(cart), cart.currency);
+
+    return (reason) => {
+      this.#optimisticQuantities.delete(key);
+
+      for (const componentKey of componentQuantities.keys()) {
+        this.#optimisticQuantities.delete(componentKey);
+
+        const component = cart.items.find((item) => item.key === componentKey);
+        if (component && quantity > 0) this.#showLineQuantity(componentKey, component.quantity);
+      }
+
+      // A removed line is already on its way out of the DOM, so bring it back from the server.
+      if (quantity === 0 || !row.isConnected) {
+        sectionRenderer.renderSection(this.sectionId, { cache: false });
+      } else {
+        const quantityInput = row.querySelector('quantity-selector-component input');
+        if (quantityInput instanceof HTMLInputElement) quantityInput.value = String(cartLine.quantity);
+
+        if (linePrice) linePrice.textContent = formatPrice(cartLine.final_line_price, cart.currency);
+        if (cartTotal) cartTotal.textContent = formatPrice(this.#optimisticTotal(cart), cart.currency);
+
+        this.#showCartItemError(line, reason);
+
+        if (!prefersReducedMotion()) {
+          row.classList.add('cart-items__table-row--rollback');
+          onAnimationEnd(row, () => row.classList.remove('cart-items__table-row--rollback'));
+        }
+      }
+
+      this.dispatchEvent(
+        new CartErrorEvent(this.sectionId, reason, {
+          rollback: { key, quantity: cartLine.quantity, attemptedQuantity: quantity },
+        })
+      );
+    };
+  }
+
+  /**
+   * Shows a quantity, and the matching line price, on the row of a line.
+   * @param {string} key - The line key.
+   * @param {number} quantity - The quantity.
+   */
+  #showLineQuantity(key, quantity) {
+    const cart = cartStore.state;
+    const cartLine = cart?.items.find((item) => item.key === key);
+    const row = this.refs.cartItemRows.find((cartItemRow) => cartItemRow.dataset.key === key);
+
+    if (!cart || !cartLine || !row) return;
+
+    const quantityInput = row.querySelector('quantity-selector-component input');
+    const linePrice = row.querySelector('.cart-items__price text-component');
+
+    if (quantityInput instanceof HTMLInputElement) quantityInput.value = String(quantity);
+    if (linePrice) linePrice.textContent = formatPrice(cartLine.final_price * quantity, cart.currency);
+  }
+
+  /**
+   * Scales the quantities of the components of a line, e.g. the items of a bundle, along with its quantity.
+   * @param {string} key - The key of the line.
+   * @param {number} quantity - The new quantity of the line.
+   * @returns {Map<string, number>} The new quantity of each component, by line key.
+   */
+  #componentQuantities(key, quantity) {
+    /** @type {Map<string, number>} */
+    const quantities = new Map();
+    const cart = cartStore.state;
+    const parent = cart?.items.find((item) => item.key === key);
+
+    if (!cart || !parent) return quantities;
+
+    for (const row of this.refs.cartItemRows) {
+      if (row.dataset.parentKey !== key) continue;
+
+      const component = cart.items.find((item) => item.key === row.dataset.key);
+      if (!component) continue;
+
+      const quantityPerParent = component.quantity / parent.quantity;
+
+      quantities.set(component.key, quantity > 0 ? Math.max(1, Math.round(quantityPerParent * quantity)) : 0);
+    }
+
+    return quantities;
+  }
+
+  /**
+   * Computes the cart total including every pending optimistic change, so concurrent edits of different lines add up.
+   * @param {import('./cart-store').CartState} cart - The cached cart.
+   * @returns {number} The total, in cents.
+   */
+  #optimisticTotal(cart) {
+    return cart.items.reduce((total, item) => {
+      const pendingQuantity = this.#optimisticQuantities.get(item.key);
+      if (pendingQuantity === undefined) return total;
+
+      return total + (pendingQuantity - item.quantity) * item.final_price;
+    }, cart.total_price);
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -197,15 +594,24 @@ class CartItemsComponent extends Component {
 
     quantityInput.value = quantityInput.defaultValue;
 
+    this.#showCartItemError(line, parsedResponseText.errors);
+  };
+
+  /**
+   * Shows a message in the error container of a line.
+   * @param {number} line - The line.
+   * @param {string} message - The message.
+   */
+  #showCartItemError(line, message) {
     const cartItemError = this.refs[`cartItemError-${line}`];
     const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
 
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = message;
     cartItemErrorContainer.classList.remove('hidden');
-  };
+  }
 
   /**
    * Handles the cart update.
@@ -221,17 +627,114 @@ class CartItemsComponent extends Component {
 
     const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
     if (cartItemsHtml) {
-      morphSection(this.sectionId, cartItemsHtml);
+      morphSection(this.sectionId, cartItemsHtml, { sequence: event.detail.data.sequence });
     } else {
       sectionRenderer.renderSection(this.sectionId, { cache: false });
     }
   };
 
   /**
-   * Disables the cart items.
+   * Fetches the cart and the stock limits of its variants, and warns about the lines with more items than in stock.
+   * Skipped while the page is in the background or the cart drawer is closed, and at most once per
+   * `INVENTORY_REVALIDATION_THROTTLE`.
+   */
+  #revalidateInventory = async () => {
+    const dialog = this.closest('dialog');
+
+    if (document.hidden || (dialog && !dialog.open)) return;
+    if (Date.now() - this.#inventoryRevalidatedAt < INVENTORY_REVALIDATION_THROTTLE) return;
+
+    this.#inventoryRevalidatedAt = Date.now();
+    const revalidationId = ++this.#inventoryRevalidationId;
+
+    try {
+      const cart = await cartStore.refresh();
+      if (!cart || revalidationId !== this.#inventoryRevalidationId) return;
+
+      // The cart was changed somewhere else, e.g. in another tab
+      const renderedKeys = (this.refs.cartItemRows ?? []).map((row) => row.dataset.key).join(',');
+      if (cart.items.map((item) => item.key).join(',') !== renderedKeys) {
+        sectionRenderer.renderSection(this.sectionId, { cache: false });
+      }
+
+      const stockLimits = await fetchStockLimits(cart);
+      if (revalidationId !== this.#inventoryRevalidationId) return;
+
+      this.#stockLimits = stockLimits;
+      this.#renderInventoryWarnings();
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  /**
+   * Shows a warning on the lines with more items than in stock, and disables the checkout until they're resolved.
+   */
+  #renderInventoryWarnings = () => {
+    const cart = cartStore.state;
+    if (!cart) return;
+
+    this.#overstockedLines = findOverstockedLines(cart, this.#stockLimits);
+
+    const rows = this.refs.cartItemRows ?? [];
+
+    rows.forEach((row, index) => {
+      const line = index + 1;
+      const container = this.refs[`cartItemInventory-${line}`];
+      const text = this.refs[`cartItemInventoryText-${line}`];
+      const button = this.refs[`cartItemInventoryButton-${line}`];
+
+      if (!(container instanceof HTMLElement) || !(text instanceof HTMLElement) || !(button instanceof HTMLElement)) {
+        return;
+      }
+
+      const quantity = this.#overstockedLines.get(row.dataset.key ?? '');
+
+      container.hidden = quantity === undefined;
+      if (quantity === undefined) return;
+
+      text.textContent =
+        quantity > 0
+          ? (Theme.translations.cart_inventory_limited ?? '').replace('[quantity]', String(quantity))
+          : Theme.translations.cart_inventory_sold_out ?? '';
+      button.textContent =
+        quantity > 0
+          ? (Theme.translations.cart_inventory_reduce ?? '').replace('[quantity]', String(quantity))
+          : Theme.translations.cart_inventory_remove ?? '';
+      // Components follow the quantity of their parent, so they're resolved from the parent line.
+      button.hidden = Boolean(row.dataset.parentKey);
+    });
+
+    for (const checkoutButton of this.querySelectorAll('button[name="checkout"]')) {
+      if (checkoutButton instanceof HTMLButtonElement) {
+        toggleDisabledReason(checkoutButton, 'inventory', this.#overstockedLines.size > 0);
+        toggleDisabledReason(checkoutButton, 'empty', cart.item_count === 0);
+      }
+    }
+  };
+
+  /**
+   * Gets the ids of every cart items section on the page, starting with this one.
+   * @returns {string[]} The section ids.
+   */
+  #sectionsToUpdate() {
+    const sectionsToUpdate = new Set([this.sectionId]);
+
+    document.querySelectorAll('cart-items-component').forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionsToUpdate.add(item.dataset.sectionId);
+      }
+    });
+
+    return Array.from(sectionsToUpdate);
+  }
+
+  /**
+   * Disables the cart items, and the checkout while the change is pending.
    */
   #disableCartItems() {
     this.classList.add('cart-items-disabled');
+    this.#toggleCheckoutPending(true);
   }
 
   /**
@@ -239,6 +742,25 @@ class CartItemsComponent extends Component {
    */
   #enableCartItems() {
     this.classList.remove('cart-items-disabled');
+    this.#toggleCheckoutPending(false);
+  }
+
+  /**
+   * Disables or enables the checkout buttons of the cart while a change is pending.
+   * @param {boolean} pending - Whether a change is pending.
+   */
+  #toggleCheckoutPending(pending) {
+    for (const checkoutButton of this.querySelectorAll('button[name="checkout"]')) {
+      if (checkoutButton instanceof HTMLButtonElement) toggleDisabledReason(checkoutButton, 'pending', pending);
+    }
+  }
+
+  /**
+   * Whether quantity changes are shown before the server confirms them.
+   * @returns {boolean}
+   */
+  get optimisticUpdates() {
+    return this.hasAttribute('data-optimistic-updates');
   }
 
   /**
@@ -257,3 +779,18 @@ class CartItemsComponent extends Component {
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
+
+/**
+ * Parses the line item properties rendered on a line.
+ * @param {string | undefined} json - The properties, as JSON.
+ * @returns {Record<string, string>} The properties.
+ */
+function parseProperties(json) {
+  try {
+    const properties = JSON.parse(json || '{}');
+
+    return properties && typeof properties === 'object' ? properties : {};
+  } catch (_) {
+    return {};
+  }
+}
@@ -1,15 +1,49 @@
 import { Component } from '@theme/component';
-import { QuantitySelectorUpdateEvent } from '@theme/events';
+import { QuantitySelectorUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { formatPrice } from '@theme/utilities';
+
+/**
+ * @typedef {Object} PriceBreak
+ * @property {number} minimum_quantity - The quantity from which the price applies.
+ * @property {number} price - The price of a unit, in cents.
+ */
 
 /**
  * A custom element that allows the user to select a quantity.
  *
+ * The quantity follows the quantity rules of the variant (minimum, maximum and increment): a typed value is snapped
+ * to the closest valid quantity, with an explanation under the selector. When the variant has volume pricing, the
+ * price of a unit at the selected quantity is shown too. Both are updated when another variant is selected.
+ *
  * @typedef {Object} Refs
  * @property {HTMLInputElement} quantityInput
  *
  * @extends {Component<Refs>}
  */
 class QuantitySelectorComponent extends Component {
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Cart lines are re-rendered with their variant, only product forms can change variant in place.
+    // The product of a quick add dialog can be the one of the page, so only the variant updates of the same section
+    // or dialog are followed.
+    if (!this.refs.quantityInput.dataset.cartLine) {
+      const { signal } = this.#abortController;
+      const target = this.closest('.shopify-section, dialog, product-card');
+      target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    }
+
+    this.#updatePriceTier();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
   /**
    * Handles the quantity increase event.
    * @param {Event} event - The event.
@@ -66,22 +100,156 @@ class QuantitySelectorComponent extends Component {
     const { quantityInput } = this.refs;
 
     this.#checkQuantityRules();
+    this.#updatePriceTier();
     const newValue = parseInt(quantityInput.value);
 
     quantityInput.dispatchEvent(new QuantitySelectorUpdateEvent(newValue, Number(quantityInput.dataset.cartLine)));
   }
 
   /**
-   * Checks the quantity rules are met
+   * Snaps the quantity to the closest one allowed by the quantity rules, and explains why it was changed.
    */
   #checkQuantityRules = () => {
     const { quantityInput } = this.refs;
-    const { min, max, value: newValue } = quantityInput;
+    const { min, max, increment } = this.#quantityRules;
+    const value = parseInt(quantityInput.value);
+
+    /** @type {string} */
+    let message = '';
+    let quantity = value;
+
+    if (isNaN(value)) {
+      quantity = parseInt(quantityInput.defaultValue) || min;
+    } else if (value === 0 && quantityInput.min === '0') {
+      // Cart lines can be set to 0 to remove them.
+      quantity = 0;
+    } else if (value < min) {
+      quantity = min;
+      message = (this.dataset.minText ?? '').replace('[min]', String(min));
+    } else if (max && value > max) {
+      quantity = max;
+      message = (this.dataset.maxText ?? '').replace('[max]', String(max));
+    } else if (value % increment !== 0) {
+      quantity = Math.max(min, Math.round(value / increment) * increment);
+      if (max && quantity > max) quantity -= increment;
+      message = (this.dataset.incrementText ?? '').replace('[increment]', String(increment));
+    }
+
+    quantityInput.value = String(quantity);
+    this.#setMessage('.quantity-rules__error', message);
+  };
+
+  /**
+   * Shows the price of a unit at the selected quantity, when the variant has volume pricing.
+   */
+  #updatePriceTier() {
+    const { price, priceBreaks } = this.dataset;
+
+    if (!price || !priceBreaks) {
+      this.#setMessage('.quantity-rules__price-tier', '');
+      return;
+    }
+
+    /** @type {PriceBreak[]} */
+    let breaks = [];
+
+    try {
+      breaks = JSON.parse(priceBreaks);
+    } catch (error) {
+      console.error(error);
+    }
+
+    const quantity = parseInt(this.refs.quantityInput.value) || 0;
+    const reachedBreak = breaks
+      .filter((priceBreak) => quantity >= priceBreak.minimum_quantity)
+      .sort((a, b) => b.minimum_quantity - a.minimum_quantity)[0];
+
+    const message = reachedBreak
+      ? (this.dataset.priceTierText ?? '')
+          .replace('[price]', formatPrice(reachedBreak.price))
+          .replace('[quantity]', String(reachedBreak.minimum_quantity))
+      : (this.dataset.priceText ?? '').replace('[price]', formatPrice(Number(price)));
+
+    this.#setMessage('.quantity-rules__price-tier', message);
+  }
+
+  /**
+   * Takes the quantity rules and volume pricing of the selected variant from the re-rendered product.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    const { data } = event.detail;
+    const productId = data.newProduct?.id ?? data.productId;
+
+    if (!data.newProduct && data.productId !== this.dataset.productId) return;
+
+    const newSelector = data.html.querySelector(`quantity-selector-component[data-product-id="${productId}"]`);
+    const newInput = newSelector?.querySelector('input[ref="quantityInput"]');
+
+    if (!(newSelector instanceof HTMLElement) || !(newInput instanceof HTMLInputElement)) return;
+
+    const { quantityInput } = this.refs;
+
+    const ruleAttributes = ['data-product-id', 'data-min', 'data-max', 'data-increment', 'data-price', 'data-price-breaks'];
 
-    if (newValue < min && min) quantityInput.value = min;
-    if (newValue > max && max) quantityInput.value = max;
+    for (const attribute of ruleAttributes) {
+      const value = newSelector.getAttribute(attribute);
+
+      if (value === null) {
+        this.removeAttribute(attribute);
+      } else {
+        this.setAttribute(attribute, value);
+      }
+    }
+
+    for (const attribute of ['min', 'max', 'step']) {
+      const value = newInput.getAttribute(attribute);
+
+      if (value === null) {
+        quantityInput.removeAttribute(attribute);
+      } else {
+        quantityInput.setAttribute(attribute, value);
+      }
+    }
+
+    quantityInput.defaultValue = newInput.defaultValue;
+
+    // The selected quantity is kept when it's still valid for the new variant.
+    this.#checkQuantityRules();
+    this.#updatePriceTier();
   };
 
+  /**
+   * The quantity rules of the variant.
+   * @returns {{ min: number, max: number | null, increment: number }}
+   */
+  get #quantityRules() {
+    const { min, max, increment } = this.dataset;
+
+    return {
+      min: Number(min) || 1,
+      max: Number(max) || null,
+      increment: Number(increment) || 1,
+    };
+  }
+
+  /**
+   * Shows a message under the selector, in the element described by the input.
+   * @param {string} selector - The selector of the message element.
+   * @param {string} message - The message, or an empty string to hide it.
+   */
+  #setMessage(selector, message) {
+    const messagesId = this.refs.quantityInput.getAttribute('aria-describedby');
+    const messages = messagesId ? document.getElementById(messagesId) : null;
+    const element = messages?.querySelector(selector);
+
+    if (!messages || !(element instanceof HTMLElement)) return;
+
+    element.textContent = message;
+    element.hidden = !message;
+    messages.hidden = Array.from(messages.children).every((child) => child instanceof HTMLElement && child.hidden);
+  }
+
   /**
    * Gets the quantity input.
    * @returns {HTMLInputElement} The quantity input.
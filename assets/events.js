@@ -26,6 +26,8 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when the items saved for later change */
+  static savedForLaterUpdate = 'saved-for-later:update';
 }
 
 /**
@@ -99,6 +101,7 @@ export class CartAddEvent extends Event {
    * @param {number} [data.itemCount] - The number of items in the cart
    * @param {string} [data.variantId] - The id of the product variant that was added
    * @param {Record<string, string>} [data.sections] - The sections affected by the cart operation
+   * @param {number} [data.sequence] - The sequence number of the cart response the sections come from
    */
   constructor(resource, sourceId, data) {
     super(CartAddEvent.eventName, { bubbles: true });
@@ -130,6 +133,8 @@ export class CartUpdateEvent extends Event {
    * @param {number} [data.itemCount] - The number of items in the cart
    * @param {string} [data.variantId] - The id of the product variant that was updated
    * @param {Record<string, string>} [data.sections] - The sections affected by the cart operation
+   * @param {number} [data.sequence] - The sequence number of the cart response the sections come from
+   * @param {Object} [data.line] - The cart line that was edited
    */
   constructor(resource, sourceId, data) {
     super(ThemeEvents.cartUpdate, { bubbles: true });
@@ -152,12 +157,18 @@ export class CartErrorEvent extends Event {
    * Creates a new CartErrorEvent
    * @param {string} sourceId - The id of the element the action was triggered from
    * @param {string} message - A message from the server response
+   * @param {Object} [data] - Additional event data
+   * @param {Object} [data.rollback] - The optimistic change that was reverted because of the error
+   * @param {string} [data.rollback.key] - The key of the reverted cart line
+   * @param {number} [data.rollback.quantity] - The quantity the line was reverted to
+   * @param {number} [data.rollback.attemptedQuantity] - The quantity that was rejected
    */
-  constructor(sourceId, message) {
+  constructor(sourceId, message, data) {
     super(ThemeEvents.cartError, { bubbles: true });
     this.detail = {
       sourceId,
       data: {
+        ...data,
         message,
       },
     };
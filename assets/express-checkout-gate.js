@@ -0,0 +1,123 @@
+import { Component } from '@theme/component';
+import { formatPrice } from '@theme/utilities';
+import { cartStore } from '@theme/cart-store';
+
+/**
+ * @typedef {import('@theme/cart-store').CartState} CartState
+ */
+
+/**
+ * @typedef {'attributes' | 'minimum' | 'mixed'} BlockReason
+ */
+
+/**
+ * A custom element that blocks the accelerated checkout buttons it wraps while the cart breaks a checkout rule.
+ *
+ * The rules are read from data attributes: the cart attributes that must be filled in, the minimum subtotal in
+ * cents of the store currency, and whether subscriptions and one-time purchases can be checked out together.
+ * The cart follows the cart store, which is kept up to date by every cart update event. Blocked buttons are
+ * disabled or hidden, depending on `data-blocked-behavior`, and the first broken rule is explained to the shopper.
+ *
+ * @typedef {Object} ExpressCheckoutGateRefs
+ * @property {HTMLElement} buttons - The element wrapping the accelerated checkout buttons.
+ * @property {HTMLElement} message - The element the block reason is shown in.
+ *
+ * @extends {Component<ExpressCheckoutGateRefs>}
+ */
+class ExpressCheckoutGateComponent extends Component {
+  requiredRefs = ['buttons', 'message'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribe((cart) => this.#blockReason(cart), this.#update);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * The names of the cart attributes that must be filled in.
+   * @returns {string[]}
+   */
+  get requiredAttributes() {
+    try {
+      const attributes = JSON.parse(this.dataset.requiredAttributes ?? '[]');
+
+      return Array.isArray(attributes) ? attributes : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * The minimum subtotal, in cents of the presentment currency. 0 when there's no minimum.
+   * @returns {number}
+   */
+  get minimumSubtotal() {
+    const minimum = Number(this.dataset.minimumSubtotal) || 0;
+
+    return Math.round(minimum * (Number(Shopify.currency.rate) || 1));
+  }
+
+  /**
+   * Finds the first checkout rule the cart breaks.
+   * @param {CartState} cart - The cart.
+   * @returns {BlockReason | null} The rule, or null if express checkout is allowed.
+   */
+  #blockReason(cart) {
+    if (this.requiredAttributes.some((name) => !cart.attributes?.[name])) return 'attributes';
+
+    if (cart.item_count > 0 && cart.items_subtotal_price < this.minimumSubtotal) return 'minimum';
+
+    if (this.dataset.blockMixedSellingPlans === 'true') {
+      const subscriptions = cart.items.filter((item) => item.selling_plan_allocation);
+
+      if (subscriptions.length > 0 && subscriptions.length < cart.items.length) return 'mixed';
+    }
+
+    return null;
+  }
+
+  /**
+   * Blocks or unblocks the buttons, and explains why they're blocked.
+   * @param {BlockReason | null} reason - The broken rule, or null if express checkout is allowed.
+   */
+  #update = (reason) => {
+    const { buttons, message } = this.refs;
+    const hide = this.dataset.blockedBehavior === 'hide';
+
+    buttons.hidden = hide && reason !== null;
+    buttons.inert = reason !== null;
+    buttons.classList.toggle('express-checkout-gate__buttons--disabled', !hide && reason !== null);
+
+    message.textContent = reason ? this.#message(reason) : '';
+    message.hidden = reason === null;
+  };
+
+  /**
+   * Gets the message explaining a broken rule.
+   * @param {BlockReason} reason - The broken rule.
+   * @returns {string} The message.
+   */
+  #message(reason) {
+    switch (reason) {
+      case 'attributes':
+        return this.dataset.attributesText ?? '';
+      case 'minimum':
+        return (this.dataset.minimumText ?? '').replace('[amount]', formatPrice(this.minimumSubtotal));
+      case 'mixed':
+        return this.dataset.mixedText ?? '';
+    }
+  }
+}
+
+if (!customElements.get('express-checkout-gate-component')) {
+  customElements.define('express-checkout-gate-component', ExpressCheckoutGateComponent);
+}
@@ -37,6 +37,7 @@ declare global {
     template: {
       name: string;
     };
+    moneyFormat: string;
   }
 
   interface Window {
@@ -0,0 +1,237 @@
+import { Component } from '@theme/component';
+
+/**
+ * @typedef {Object} NotifyMeVariant
+ * @property {string | number} id - The variant id.
+ * @property {string} [title] - The variant title, e.g. `Red / M`.
+ */
+
+/**
+ * The variants the shopper subscribed to, stored as an array of variant ids.
+ */
+const STORAGE_KEY = 'backInStockSubscriptions';
+
+/**
+ * The variant of a subscription sent with a regular contact form submission, confirmed once the page is back.
+ */
+const PENDING_STORAGE_KEY = 'backInStockPendingSubscription';
+
+/**
+ * A custom element that lets shoppers ask to be notified when a sold-out variant is back in stock.
+ *
+ * It's shown in place of the add to cart button by the `product-form-component`, which calls `setVariant` on every
+ * variant update. The subscription is sent as JSON to `data-endpoint` if it's set, or with the contact form otherwise,
+ * tagged with the variant id. When Shopify doesn't confirm the contact form, e.g. because it asks for a captcha, the
+ * form is submitted the regular way instead. The variants the shopper subscribed to are remembered, so they aren't
+ * asked again.
+ *
+ * @typedef {Object} NotifyMeRefs
+ * @property {HTMLFormElement} form - The subscription form.
+ * @property {HTMLInputElement} email - The email field.
+ * @property {HTMLInputElement} [phone] - The optional phone number field, for SMS notifications.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} subscribed - The message shown once the shopper subscribed to the variant.
+ * @property {HTMLElement} error - The element submission failures are reported in.
+ *
+ * @extends {Component<NotifyMeRefs>}
+ */
+export class NotifyMeComponent extends Component {
+  requiredRefs = ['form', 'email', 'submitButton', 'subscribed', 'error'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    confirmPendingSubscription();
+    this.#render();
+  }
+
+  /**
+   * Shows the form for a sold-out variant, or hides it for an available one.
+   * @param {NotifyMeVariant | null} variant - The sold-out variant, or null to hide the form.
+   */
+  setVariant(variant) {
+    this.hidden = !variant;
+
+    if (!variant) return;
+
+    this.dataset.variantId = String(variant.id);
+    this.dataset.variantTitle = variant.title ?? '';
+    this.refs.error.hidden = true;
+    this.#render();
+  }
+
+  /**
+   * Validates the fields and subscribes the shopper to the variant.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const { form, submitButton, error } = this.refs;
+    const variantId = this.dataset.variantId;
+
+    if (!variantId || !form.reportValidity()) return;
+
+    submitButton.disabled = true;
+    error.hidden = true;
+
+    try {
+      if (this.dataset.endpoint) {
+        const response = await this.#sendToEndpoint(this.dataset.endpoint, variantId);
+        if (!response.ok) throw new Error(`Back in stock subscription failed with status ${response.status}`);
+      } else if (!(await this.#sendContactForm(variantId))) {
+        this.#submitContactForm(variantId);
+        return;
+      }
+
+      subscribe(variantId);
+      form.reset();
+      this.#render();
+    } catch (submitError) {
+      console.error(submitError);
+      error.textContent = this.dataset.errorText ?? '';
+      error.hidden = false;
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Sends the subscription to the configured endpoint.
+   * @param {string} endpoint - The URL subscriptions are posted to.
+   * @param {string} variantId - The id of the variant.
+   * @returns {Promise<Response>} The response.
+   */
+  #sendToEndpoint(endpoint, variantId) {
+    const { email, phone } = this.refs;
+
+    return fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        email: email.value,
+        phone: phone?.value || null,
+        product_id: Number(this.dataset.productId),
+        variant_id: Number(variantId),
+      }),
+    });
+  }
+
+  /**
+   * Sends the subscription with the contact form. Shopify redirects to a page with `contact_posted=true` once the
+   * form is sent, and to the form errors or a captcha otherwise, still with a successful status.
+   * @param {string} variantId - The id of the variant.
+   * @returns {Promise<boolean>} Whether the form was sent.
+   */
+  async #sendContactForm(variantId) {
+    const { form } = this.refs;
+    const formData = new FormData(form);
+
+    for (const [name, value] of Object.entries(this.#contactFields(variantId))) formData.set(name, value);
+
+    const response = await fetch(form.action, { method: 'POST', body: formData });
+    if (!response.ok) throw new Error(`Back in stock subscription failed with status ${response.status}`);
+
+    return new URL(response.url).searchParams.get('contact_posted') === 'true';
+  }
+
+  /**
+   * Submits the contact form the regular way, so the shopper sees the form errors or the captcha. The subscription
+   * is remembered once they're back with the form sent.
+   * @param {string} variantId - The id of the variant.
+   */
+  #submitContactForm(variantId) {
+    const { form } = this.refs;
+
+    for (const [name, value] of Object.entries(this.#contactFields(variantId))) {
+      const existingInput = form.querySelector(`input[type="hidden"][name="${name}"]`);
+      const input = existingInput instanceof HTMLInputElement ? existingInput : document.createElement('input');
+
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      if (!input.isConnected) form.append(input);
+    }
+
+    try {
+      sessionStorage.setItem(PENDING_STORAGE_KEY, variantId);
+    } catch (_) {
+      // Storage can be full or disabled, the shopper is only asked again.
+    }
+
+    form.submit();
+  }
+
+  /**
+   * The contact form fields of a subscription. The email lists the product, and the tags let the merchant filter
+   * the requests.
+   * @param {string} variantId - The id of the variant.
+   * @returns {Record<string, string>} The field values, by name.
+   */
+  #contactFields(variantId) {
+    const { productTitle, variantTitle } = this.dataset;
+
+    return {
+      'contact[tags]': `back-in-stock,variant-${variantId}`,
+      'contact[body]': [productTitle, variantTitle].filter(Boolean).join(' - '),
+    };
+  }
+
+  /**
+   * Shows the form, or the confirmation if the shopper already subscribed to the variant.
+   */
+  #render() {
+    const { form, subscribed } = this.refs;
+    const isSubscribed = getSubscriptions().includes(this.dataset.variantId ?? '');
+
+    form.hidden = isSubscribed;
+    subscribed.hidden = !isSubscribed;
+  }
+}
+
+if (!customElements.get('notify-me-component')) {
+  customElements.define('notify-me-component', NotifyMeComponent);
+}
+
+/**
+ * Gets the ids of the variants the shopper subscribed to.
+ * @returns {string[]} The variant ids.
+ */
+function getSubscriptions() {
+  try {
+    const subscriptions = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+
+    return Array.isArray(subscriptions) ? subscriptions : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Remembers the subscription sent with a regular contact form submission, once the page confirms the form was sent.
+ */
+function confirmPendingSubscription() {
+  try {
+    const variantId = sessionStorage.getItem(PENDING_STORAGE_KEY);
+    if (!variantId) return;
+
+    if (new URLSearchParams(window.location.search).get('contact_posted') === 'true') subscribe(variantId);
+    sessionStorage.removeItem(PENDING_STORAGE_KEY);
+  } catch (_) {
+    // Storage is disabled, there's no pending subscription.
+  }
+}
+
+/**
+ * Remembers that the shopper subscribed to a variant.
+ * @param {string} variantId - The id of the variant.
+ */
+function subscribe(variantId) {
+  const subscriptions = getSubscriptions().filter((id) => id !== variantId);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...subscriptions, variantId]));
+  } catch (_) {
+    // Storage can be full or disabled, the shopper is only asked again.
+  }
+}
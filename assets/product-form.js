@@ -1,8 +1,9 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartUpdateEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
+import { formatPrice, normalizeString, onAnimationEnd, preloadImage } from '@theme/utilities';
+import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { cartQueue, CartOfflineError } from '@theme/cart-queue';
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
@@ -121,6 +122,7 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {AddToCartComponent | undefined} addToCartButtonContainer - The add to cart button container element.
  * @property {HTMLElement | undefined} addToCartTextError - The add to cart text error.
  * @property {HTMLElement | undefined} acceleratedCheckoutButtonContainer - The accelerated checkout button container element.
+ * @property {import('./notify-me').NotifyMeComponent | undefined} notifyMe - The back in stock notification form.
  * @property {HTMLElement} liveRegion - The live region.
  *
  * @extends Component<ProductFormRefs>
@@ -178,42 +180,13 @@ class ProductFormComponent extends Component {
       formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
+    cartQueue
+      .enqueue({ type: 'add', body: formData, sourceId: this.id })
       .then((response) => {
         if (response.status) {
           window.dispatchEvent(new CartErrorEvent(this.id, response.message));
 
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
-
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
-
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
-
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-
-            // Clear the announcement
-            this.#clearLiveRegionText();
-          }, 10000);
+          this.#displayAddToCartError(response.message);
 
           // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
           // because our back-end still adds the max allowed amount to the cart.
@@ -256,11 +229,18 @@ class ProductFormComponent extends Component {
               itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
               productId: this.dataset.productId,
               sections: response.sections,
+              sequence: cartQueue.sequenceOf(response),
             })
           );
         }
       })
       .catch((error) => {
+        if (error instanceof CartOfflineError) {
+          // The add is queued and will be replayed when the shopper is back online.
+          this.#displayAddToCartError(error.message);
+          return;
+        }
+
         console.error(error);
       })
       .finally(() => {
@@ -269,6 +249,37 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Displays a message in the add to cart error element and announces it to screen readers.
+   * @param {string} message - The message to display.
+   */
+  #displayAddToCartError(message) {
+    const { addToCartTextError } = this.refs;
+
+    if (!addToCartTextError) return;
+    addToCartTextError.classList.remove('hidden');
+
+    // Reuse the text node if the user is spam-clicking
+    const textNode = addToCartTextError.childNodes[2];
+    if (textNode) {
+      textNode.textContent = message;
+    } else {
+      const newTextNode = document.createTextNode(message);
+      addToCartTextError.appendChild(newTextNode);
+    }
+
+    // Create or get existing error live region for screen readers
+    this.#setLiveRegionText(message);
+
+    this.#timeout = setTimeout(() => {
+      if (!addToCartTextError) return;
+      addToCartTextError.classList.add('hidden');
+
+      // Clear the announcement
+      this.#clearLiveRegionText();
+    }, 10000);
+  }
+
   /**
    * @param {*} text
    */
@@ -292,7 +303,13 @@ class ProductFormComponent extends Component {
       return;
     }
 
-    const { variantId, addToCartButtonContainer } = this.refs;
+    const { variantId, addToCartButtonContainer, notifyMe } = this.refs;
+
+    // Offer back in stock notifications in place of the add to cart button
+    if (notifyMe) {
+      notifyMe.setVariant(event.detail.resource?.available === false ? event.detail.resource : null);
+      if (addToCartButtonContainer) addToCartButtonContainer.hidden = !notifyMe.hidden;
+    }
 
     const currentAddToCartButton = addToCartButtonContainer?.refs.addToCartButton;
     const newAddToCartButton = event.detail.data.html.querySelector('[ref="addToCartButton"]');
@@ -447,14 +464,74 @@ if (!customElements.get('fly-to-cart')) {
   customElements.define('fly-to-cart', FlyToCart);
 }
 
-
 export const PREORDER_ANIMATION_DURATION = 2000;
 
+/**
+ * @typedef {'sku' | 'options' | 'metafield'} PreorderMatching
+ */
+
+/**
+ * @typedef {'ready' | 'sold-out' | 'unmatched' | 'error'} PreorderState
+ */
+
+/**
+ * @typedef {Object} PreorderVariant
+ * @property {number} id - The variant id.
+ * @property {string | null} sku - The variant SKU.
+ * @property {boolean} available - Whether the variant can be pre-ordered.
+ * @property {number} price - The price, in cents of the presentment currency.
+ * @property {string[]} options - The option values, in the order of the product options.
+ */
+
+/**
+ * @typedef {Object} PreorderProduct
+ * @property {{ name: string }[]} options - The product options, in order.
+ * @property {PreorderVariant[]} variants - The product variants.
+ */
+
+/**
+ * @typedef {Object} MainVariant
+ * @property {number | string} id - The variant id.
+ * @property {string | null} [sku] - The variant SKU.
+ * @property {string[]} [options] - The option values, in the order of the product options.
+ */
+
+/**
+ * @typedef {Object} PreorderConfig
+ * @property {PreorderMatching} matching - How the main product variants are matched with the pre-order variants.
+ * @property {string[]} optionNames - The option names of the main product, in order.
+ * @property {Record<string, number | string | null>} variantMap - The pre-order variant ids read from the variant
+ * metafield, by main product variant id.
+ * @property {string[]} skuPrefixes - The prefixes removed from SKUs before they're compared, e.g. `PRE-`.
+ * @property {string[]} skuSuffixes - The suffixes removed from SKUs before they're compared, e.g. `-PREORDER`.
+ * @property {Record<string, string>} shipDates - The estimated ship dates, by pre-order variant id.
+ * @property {MainVariant | null} selectedVariant - The variant of the main product selected when the page loaded.
+ */
+
+/**
+ * The pre-order products, by URL. They're fetched once per page, and shared across variant switches.
+ * @type {Map<string, Promise<PreorderProduct>>}
+ */
+const preorderProducts = new Map();
+
 /**
  * A custom element that manages a pre-order button for separate pre-order products.
- * This component handles dynamic variant matching and cart operations.
+ *
+ * The variant of the pre-order product is matched with the selected variant of the main product, with the strategy
+ * set in the block settings: by SKU once the configured prefixes and suffixes are removed, by option values matched
+ * by option name, or by a variant metafield of the main product referencing the pre-order variant. When no variant
+ * matches, the button is disabled and says so instead of pre-ordering another variant.
+ *
+ * @typedef {Object} PreorderButtonRefs
+ * @property {HTMLButtonElement} button - The pre-order button.
+ * @property {HTMLElement} label - The text of the button.
+ * @property {HTMLElement} shipDate - The estimated ship date of the matched variant.
+ *
+ * @extends {Component<PreorderButtonRefs>}
  */
 class PreorderButtonComponent extends Component {
+  requiredRefs = ['button', 'label', 'shipDate'];
+
   /** @type {number | undefined} */
   #animationTimeout;
 
@@ -464,265 +541,183 @@ class PreorderButtonComponent extends Component {
   /** @type {AbortController} */
   #abortController = new AbortController();
 
-  /** @type {Object | null} */
-  #preorderProduct = null;
+  /** @type {PreorderConfig | undefined} */
+  #config;
+
+  /**
+   * Incremented on every variant update so an older match can't overwrite a newer one.
+   */
+  #updateId = 0;
 
   connectedCallback() {
     super.connectedCallback();
-    
+
     const { signal } = this.#abortController;
-    
-    const button = this.querySelector('[data-preorder-button]');
-    if (button) {
-      button.addEventListener('click', this.#handleClick.bind(this), { signal });
-    }
+    const target = this.closest('.shopify-section, dialog, product-card');
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
 
-    // Listen for variant updates on the main product - use more specific targeting
-    const target = this.closest('.shopify-section') || 
-                   this.closest('.product-information') || 
-                   document;
-    
-    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate.bind(this), { signal });
-    target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected.bind(this), { signal });
-    
-    // Also listen on document level to catch all variant updates
-    document.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate.bind(this), { signal });
+    this.#update(this.config.selectedVariant);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
-    
+
     if (this.#animationTimeout) clearTimeout(this.#animationTimeout);
     if (this.#cleanupTimeout) clearTimeout(this.#cleanupTimeout);
-    
+
     this.#abortController.abort();
   }
 
   /**
-   * Handle variant selection (disable button during update)
+   * The matching settings and variant data rendered by the `preorder-button` snippet.
+   * @returns {PreorderConfig}
    */
-  #onVariantSelected = () => {
-    const button = this.querySelector('[data-preorder-button]');
-    if (button) {
-      button.disabled = true;
+  get config() {
+    if (!this.#config) {
+      const json = this.querySelector('script[data-preorder-config]')?.textContent;
+      if (!json) throw new Error('Pre-order config not found');
+
+      this.#config = JSON.parse(json);
     }
-  };
+
+    return /** @type {PreorderConfig} */ (this.#config);
+  }
 
   /**
-   * Handle variant updates from the main product
-   * @param {VariantUpdateEvent} event 
+   * Disables the button while the variant is updating.
    */
-  async #onVariantUpdate(event) {
-    // Debug logging
-    console.log('Preorder component received variant update:', event.detail);
-    
-    // Check if this update is for our product
-    const eventProductId = event.detail.data.productId;
-    const ourProductId = this.dataset.originalProductId;
-    
-    console.log('Event product ID:', eventProductId, 'Our product ID:', ourProductId);
-    
-    // Only process if this is for our product
-    if (eventProductId !== ourProductId) {
-      console.log('Variant update not for our product, ignoring');
-      return;
-    }
+  #onVariantSelected = () => {
+    this.refs.button.disabled = true;
+  };
 
-    const selectedVariant = event.detail.resource;
-    if (!selectedVariant) {
-      console.log('No selected variant in event');
-      this.#updateButtonState(null);
-      return;
-    }
+  /**
+   * Matches the variant selected in the main product.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.productId !== this.dataset.originalProductId) return;
 
-    const newVariantSku = selectedVariant.sku;
-    const currentSku = this.dataset.currentVariantSku;
+    this.#update(event.detail.resource);
+  };
 
-    console.log('New SKU:', newVariantSku, 'Current SKU:', currentSku);
+  /**
+   * Finds the pre-order variant matching a variant of the main product, and updates the button.
+   * @param {MainVariant | null} variant - The variant of the main product.
+   */
+  async #update(variant) {
+    const updateId = ++this.#updateId;
+    const { preorderUrl } = this.dataset;
 
-    // If the SKU hasn't changed, just update the button state
-    if (newVariantSku === currentSku) {
-      console.log('SKU unchanged, updating button state only');
-      this.#updateButtonState(selectedVariant);
+    if (!variant || !preorderUrl) {
+      this.#render('unmatched');
       return;
     }
 
-    // Update current variant SKU
-    this.dataset.currentVariantSku = newVariantSku;
+    this.dataset.currentVariantSku = variant.sku ?? '';
 
     try {
-      // Find matching preorder variant
-      console.log('Finding matching preorder variant for SKU:', newVariantSku);
-      const matchingVariant = await this.#findMatchingPreorderVariant(newVariantSku);
-      
-      if (matchingVariant) {
-        // Update component data
-        this.dataset.variantId = matchingVariant.id;
-        this.#updateButtonDisplay(matchingVariant);
-        
-        console.log('Preorder variant updated:', {
-          selectedSku: newVariantSku,
-          matchedVariant: matchingVariant.sku,
-          matchedId: matchingVariant.id
-        });
+      const product = await fetchPreorderProduct(preorderUrl);
+      if (updateId !== this.#updateId) return;
+
+      const match = this.#findMatchingPreorderVariant(variant, product);
+
+      if (!match) {
+        this.#render('unmatched');
       } else {
-        // No matching variant found
-        this.#updateButtonState(null);
-        console.warn('No matching preorder variant found for SKU:', newVariantSku);
+        this.#render(match.available ? 'ready' : 'sold-out', match);
       }
     } catch (error) {
-      console.error('Error updating preorder variant:', error);
-      this.#updateButtonState(null);
+      if (updateId !== this.#updateId) return;
+
+      console.error(error);
+      this.#render('error');
     }
   }
 
   /**
-   * Find matching preorder variant based on SKU
-   * @param {string} selectedSku - The SKU of the selected main product variant
-   * @returns {Promise<Object|null>} - The matching preorder variant or null
+   * Finds the pre-order variant matching a variant of the main product, with the configured strategy.
+   * @param {MainVariant} variant - The variant of the main product.
+   * @param {PreorderProduct} product - The pre-order product.
+   * @returns {PreorderVariant | null} The matching pre-order variant, or null if there's none.
    */
-  async #findMatchingPreorderVariant(selectedSku) {
-    if (!this.#preorderProduct) {
-      this.#preorderProduct = await this.#fetchPreorderProduct();
-    }
-
-    if (!this.#preorderProduct) {
-      return null;
-    }
-
-    const { variants } = this.#preorderProduct;
+  #findMatchingPreorderVariant(variant, product) {
+    const { matching, optionNames, variantMap, skuPrefixes, skuSuffixes } = this.config;
+    const { variants } = product;
 
-    // Strategy 1: Exact SKU match
-    let matchingVariant = variants.find(v => v.sku === selectedSku);
+    // A pre-order product without options takes pre-orders for every variant
+    if (variants.length === 1) return variants[0] ?? null;
 
-    if (!matchingVariant) {
-      // Strategy 2: Pattern-based matching
-      const baseSku = selectedSku.replace(/-REGULAR|-REG|-STOCK/g, '');
-      matchingVariant = variants.find(v => {
-        const preorderBaseSku = v.sku.replace(/-PREORDER|-PRE|-BACKORDER/g, '');
-        return baseSku === preorderBaseSku;
-      });
-    }
+    switch (matching) {
+      case 'metafield': {
+        const id = Number(variantMap[variant.id]);
 
-    if (!matchingVariant) {
-      // Strategy 3: Match by variant position (if same number of variants)
-      const mainProductVariants = await this.#getMainProductVariants();
-      if (mainProductVariants && variants.length === mainProductVariants.length) {
-        const selectedVariantIndex = mainProductVariants.findIndex(v => v.sku === selectedSku);
-        if (selectedVariantIndex >= 0 && variants[selectedVariantIndex]) {
-          matchingVariant = variants[selectedVariantIndex];
-        }
+        return variants.find((preorderVariant) => preorderVariant.id === id) ?? null;
       }
+      case 'options':
+        return findVariantByOptions(variant, optionNames, product);
+      default:
+        return findVariantBySku(variant, variants, skuPrefixes, skuSuffixes);
     }
-
-    if (!matchingVariant) {
-      // Fallback: Use first available variant
-      matchingVariant = variants.find(v => v.available) || variants[0];
-    }
-
-    return matchingVariant;
   }
 
   /**
-   * Fetch the preorder product data
-   * @returns {Promise<Object|null>}
+   * Updates the button, its text and the estimated ship date.
+   * @param {PreorderState} state - The state of the button.
+   * @param {PreorderVariant | null} [variant] - The matched pre-order variant.
    */
-  async #fetchPreorderProduct() {
-    const preorderHandle = this.dataset.preorderHandle;
-    if (!preorderHandle) {
-      console.error('Preorder handle not found');
-      return null;
-    }
+  #render(state, variant = null) {
+    const { button, label, shipDate } = this.refs;
+    const date = variant ? this.config.shipDates[variant.id] : undefined;
 
-    try {
-      const response = await fetch(`${window.location.origin}/products/${preorderHandle}.js`);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch preorder product: ${response.status}`);
-      }
-      return await response.json();
-    } catch (error) {
-      console.error('Error fetching preorder product:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Get main product variants
-   * @returns {Promise<Array|null>}
-   */
-  async #getMainProductVariants() {
-    try {
-      const currentPath = window.location.pathname;
-      const productHandle = currentPath.split('/').pop();
-      
-      const response = await fetch(`${window.location.origin}/products/${productHandle}.js`);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch main product: ${response.status}`);
-      }
-      const product = await response.json();
-      return product.variants;
-    } catch (error) {
-      console.error('Error fetching main product variants:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Update button display with new variant info
-   * @param {Object|null} variant - The matched preorder variant
-   */
-  #updateButtonDisplay(variant) {
-    const button = this.querySelector('[data-preorder-button]');
-    const priceElement = button?.querySelector('.preorder-text__content');
-    
-    if (!button || !priceElement) return;
+    this.dataset.state = state;
 
     if (variant) {
-      // Enable button and update price
-      button.disabled = !variant.available;
-      
-      if (variant.available) {
-        const formattedPrice = new Intl.NumberFormat(document.documentElement.lang || 'en', {
-          style: 'currency',
-          currency: Theme.currency?.active || 'USD'
-        }).format(variant.price / 100);
-        
-        priceElement.textContent = `Add Pre-order - ${formattedPrice}`;
-      } else {
-        priceElement.textContent = 'Pre-order - Unavailable';
-      }
+      this.dataset.variantId = String(variant.id);
     } else {
-      // Disable button if no variant found
-      button.disabled = true;
-      priceElement.textContent = 'Pre-order - Not Available';
+      delete this.dataset.variantId;
     }
+
+    button.disabled = state !== 'ready';
+    label.textContent = this.#label(state, variant);
+
+    shipDate.textContent = date ? (this.dataset.shipDateText ?? '').replace('[date]', date) : '';
+    shipDate.hidden = !date;
   }
 
   /**
-   * Update button state based on variant availability
-   * @param {Object|null} variant 
+   * Gets the text of the button for a state.
+   * @param {PreorderState} state - The state of the button.
+   * @param {PreorderVariant | null} variant - The matched pre-order variant.
+   * @returns {string} The text.
    */
-  #updateButtonState(variant) {
-    const button = this.querySelector('[data-preorder-button]');
-    if (!button) return;
-
-    button.disabled = !variant || !variant.available;
+  #label(state, variant) {
+    switch (state) {
+      case 'ready':
+        return (this.dataset.addText ?? '').replace('[price]', variant ? formatPrice(variant.price) : '');
+      case 'sold-out':
+        return this.dataset.soldOutText ?? '';
+      case 'unmatched':
+        return this.dataset.unmatchedText ?? '';
+      case 'error':
+        return this.dataset.errorText ?? '';
+    }
   }
 
   /**
-   * Handles the click event for the pre-order button.
+   * Adds the matched pre-order variant to the cart.
    * @param {MouseEvent} event - The click event.
    */
-  async #handleClick(event) {
+  async handleClick(event) {
     event.preventDefault();
-    
-    const button = event.target.closest('[data-preorder-button]');
-    if (!button || button.disabled) return;
+
+    const { button } = this.refs;
+    if (button.disabled) return;
 
     const variantId = this.dataset.variantId;
-    const preorderProductId = this.dataset.preorderProductId;
-    const originalProductId = this.dataset.originalProductId;
-    const currentVariantSku = this.dataset.currentVariantSku;
+    const preorderProductId = this.dataset.preorderProductId ?? '';
+    const originalProductId = this.dataset.originalProductId ?? '';
+    const currentVariantSku = this.dataset.currentVariantSku ?? '';
 
     if (!variantId) {
       console.error('Pre-order variant ID is required');
@@ -735,7 +730,7 @@ class PreorderButtonComponent extends Component {
 
     // Get quantity from the main product form or default to 1
     const quantity = this.#getSelectedQuantity();
-    
+
     // Trigger fly-to-cart animation
     this.#animateFlyToCart(button);
 
@@ -744,7 +739,7 @@ class PreorderButtonComponent extends Component {
       const formData = new FormData();
       formData.append('id', variantId);
       formData.append('quantity', quantity.toString());
-      
+
       // Add comprehensive properties to identify this as a pre-order
       formData.append('properties[_preorder]', 'true');
       formData.append('properties[_order_type]', 'pre-order');
@@ -756,69 +751,41 @@ class PreorderButtonComponent extends Component {
       // Add cart items sections for update
       this.#addCartSections(formData);
 
-      const fetchCfg = fetchConfig('javascript', { body: formData });
-
-      const response = await fetch(Theme.routes.cart_add_url, {
-        ...fetchCfg,
-        headers: {
-          ...fetchCfg.headers,
-          Accept: 'application/json',
-        }
-      });
-
-      const result = await response.json();
+      const result = await cartQueue.enqueue({ type: 'add', body: formData, sourceId: this.id });
 
       if (result.status) {
-        // Handle error
-        console.error('Pre-order add to cart error:', result.message);
-        
         // Dispatch error event
         window.dispatchEvent(new CartErrorEvent(this.id, result.message));
-        
+
         // Show error feedback
-        this.#showError(result.message);
+        this.#showError();
       } else {
-        // Success - dispatch cart add event with proper item count calculation
-        const actualItemCount = quantity; // Use the actual quantity added
-        
-        // Dispatch the cart add event to update cart icon and drawer
-        const cartAddEvent = new CartAddEvent({}, variantId, {
-          source: 'preorder-button-component',
-          itemCount: actualItemCount,
-          productId: preorderProductId,
-          originalProductId: originalProductId,
-          sections: result.sections,
-          isPreorder: true
-        });
-        
-        // Dispatch at both component and window level for better compatibility
-        this.dispatchEvent(cartAddEvent);
-        window.dispatchEvent(cartAddEvent);
-        document.dispatchEvent(cartAddEvent);
-
-        // Also trigger cart update event for cart drawer and icon
-        const cartUpdateEvent = new CartUpdateEvent({}, this.id, {
-          itemCount: actualItemCount,
-          source: 'preorder-button-component',
-          sections: result.sections
-        });
-        
-        
-
-
-        document.dispatchEvent(cartUpdateEvent);
-        window.dispatchEvent(cartUpdateEvent);
-
-        console.log(`Successfully added pre-order item to cart (quantity: ${actualItemCount})`);
+        // Dispatched once, it bubbles up to the document listeners that update the cart icon and drawer
+        this.dispatchEvent(
+          new CartAddEvent({}, variantId, {
+            source: 'preorder-button-component',
+            itemCount: quantity,
+            productId: preorderProductId,
+            originalProductId: originalProductId,
+            sections: result.sections,
+            sequence: cartQueue.sequenceOf(result),
+            isPreorder: true,
+          })
+        );
       }
-
     } catch (error) {
+      if (error instanceof CartOfflineError) {
+        // The add is queued and will be replayed when the shopper is back online.
+        this.#showError(error.message);
+        return;
+      }
+
       console.error('Pre-order request failed:', error);
-      this.#showError('Something went wrong. Please try again.');
+      this.#showError();
     } finally {
       // Re-enable button after animation
       setTimeout(() => {
-        button.disabled = false;
+        button.disabled = this.dataset.state !== 'ready';
         this.classList.remove('preorder-added');
       }, 500);
 
@@ -834,27 +801,28 @@ class PreorderButtonComponent extends Component {
   #getSelectedQuantity() {
     // Look for quantity input in the closest product form
     const productForm = this.closest('.product-information, .product-card');
-    const quantityInput = productForm?.querySelector('input[name="quantity"]') || 
-                          document.querySelector('input[name="quantity"]');
-    
-    const quantity = quantityInput ? parseInt(quantityInput.value, 10) : 1;
+    const quantityInput =
+      productForm?.querySelector('input[name="quantity"]') || document.querySelector('input[name="quantity"]');
+
+    const quantity = quantityInput instanceof HTMLInputElement ? parseInt(quantityInput.value, 10) : 1;
     return isNaN(quantity) || quantity < 1 ? 1 : quantity;
   }
 
   /**
    * Add cart sections to form data for proper cart update
-   * @param {FormData} formData 
+   * @param {FormData} formData
    */
   #addCartSections(formData) {
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
+    /** @type {string[]} */
     const sectionIds = [];
-    
+
     cartItemsComponents.forEach((item) => {
       if (item instanceof HTMLElement && item.dataset.sectionId) {
         sectionIds.push(item.dataset.sectionId);
       }
     });
-    
+
     if (sectionIds.length > 0) {
       formData.append('sections', sectionIds.join(','));
     }
@@ -865,7 +833,7 @@ class PreorderButtonComponent extends Component {
    * @returns {string}
    */
   #getMainProductHandle() {
-    return window.location.pathname.split('/').pop();
+    return window.location.pathname.split('/').pop() ?? '';
   }
 
   /**
@@ -887,22 +855,17 @@ class PreorderButtonComponent extends Component {
   }
 
   /**
-   * Shows error message to user.
-   * @param {string} message - Error message to display.
+   * Shows that the pre-order couldn't be added in the button for a few seconds.
+   * @param {string} [message] - The message, defaults to a generic error.
    */
-  #showError(message) {
-    const button = this.querySelector('[data-preorder-button]');
-    const textElement = button?.querySelector('.preorder-text__content');
-    
-    if (!textElement) return;
-
-    const originalText = textElement.textContent;
-    textElement.textContent = 'Error - try again';
-    
+  #showError(message = this.dataset.addErrorText ?? '') {
+    const { label } = this.refs;
+    const originalText = label.textContent;
+
+    label.textContent = message;
+
     setTimeout(() => {
-      if (textElement) {
-        textElement.textContent = originalText;
-      }
+      label.textContent = originalText;
     }, 3000);
   }
 
@@ -912,17 +875,17 @@ class PreorderButtonComponent extends Component {
    */
   #animateFlyToCart(sourceButton) {
     const cartIcon = document.querySelector('.header-actions__cart-icon');
-    
-    if (!cartIcon || !sourceButton) return;
+
+    if (!(cartIcon instanceof HTMLElement) || !sourceButton) return;
 
     // Get preorder product image for the flying animation
-    const preorderProductImage = this.querySelector('[data-preorder-product-image]')?.src;
-    
-    if (!preorderProductImage) return;
+    const preorderProductImage = this.querySelector('img[data-preorder-product-image]');
+
+    if (!(preorderProductImage instanceof HTMLImageElement)) return;
 
     // Create and trigger fly-to-cart element
-    const flyToCartElement = document.createElement('fly-to-cart');
-    flyToCartElement.style.setProperty('background-image', `url(${preorderProductImage})`);
+    const flyToCartElement = /** @type {FlyToCart} */ (document.createElement('fly-to-cart'));
+    flyToCartElement.style.setProperty('background-image', `url(${preorderProductImage.src})`);
     flyToCartElement.source = sourceButton;
     flyToCartElement.destination = cartIcon;
 
@@ -930,7 +893,93 @@ class PreorderButtonComponent extends Component {
   }
 }
 
-// Register the custom element
 if (!customElements.get('preorder-button-component')) {
   customElements.define('preorder-button-component', PreorderButtonComponent);
 }
+
+/**
+ * Fetches a pre-order product, once per page. A failed request is retried on the next call.
+ * @param {string} url - The URL of the pre-order product.
+ * @returns {Promise<PreorderProduct>} The product.
+ */
+function fetchPreorderProduct(url) {
+  let product = preorderProducts.get(url);
+
+  if (!product) {
+    product = fetch(`${url}.js`).then((response) => {
+      if (!response.ok) throw new Error(`Failed to fetch preorder product: ${response.status}`);
+
+      return response.json();
+    });
+
+    product.catch(() => preorderProducts.delete(url));
+    preorderProducts.set(url, product);
+  }
+
+  return product;
+}
+
+/**
+ * Finds the pre-order variant with the same option values, matched by option name, so the products can order
+ * their options differently. Names and values are compared regardless of case and accents.
+ * @param {MainVariant} variant - The variant of the main product.
+ * @param {string[]} optionNames - The option names of the main product, in order.
+ * @param {PreorderProduct} product - The pre-order product.
+ * @returns {PreorderVariant | null} The matching variant, or null if there's none.
+ */
+function findVariantByOptions(variant, optionNames, product) {
+  const values = new Map(
+    optionNames.map((name, index) => [normalizeString(name), normalizeString(variant.options?.[index] ?? '')])
+  );
+
+  /** @param {PreorderVariant} preorderVariant */
+  const matches = (preorderVariant) =>
+    product.options.every((option, index) => {
+      const value = normalizeString(preorderVariant.options[index] ?? '');
+
+      return values.get(normalizeString(option.name)) === value;
+    });
+
+  return product.variants.find(matches) ?? null;
+}
+
+/**
+ * Finds the pre-order variant with the same SKU, once the prefixes and suffixes are removed from both SKUs.
+ * @param {MainVariant} variant - The variant of the main product.
+ * @param {PreorderVariant[]} variants - The variants of the pre-order product.
+ * @param {string[]} prefixes - The prefixes to remove, e.g. `PRE-`.
+ * @param {string[]} suffixes - The suffixes to remove, e.g. `-PREORDER`.
+ * @returns {PreorderVariant | null} The matching variant, or null if there's none.
+ */
+function findVariantBySku(variant, variants, prefixes, suffixes) {
+  const sku = getBaseSku(variant.sku, prefixes, suffixes);
+  if (!sku) return null;
+
+  return variants.find((preorderVariant) => getBaseSku(preorderVariant.sku, prefixes, suffixes) === sku) ?? null;
+}
+
+/**
+ * Removes the longest matching prefix and suffix from a SKU, e.g. `SHIRT-RED-PREORDER` to `SHIRT-RED`.
+ * @param {string | null | undefined} sku - The SKU.
+ * @param {string[]} prefixes - The prefixes to remove.
+ * @param {string[]} suffixes - The suffixes to remove.
+ * @returns {string} The base SKU, in upper case.
+ */
+function getBaseSku(sku, prefixes, suffixes) {
+  /** @param {string[]} affixes */
+  const longestFirst = (affixes) =>
+    affixes
+      .map((affix) => affix.trim().toUpperCase())
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length);
+
+  let base = (sku ?? '').trim().toUpperCase();
+
+  const prefix = longestFirst(prefixes).find((prefix) => base.startsWith(prefix) && base.length > prefix.length);
+  if (prefix) base = base.slice(prefix.length);
+
+  const suffix = longestFirst(suffixes).find((suffix) => base.endsWith(suffix) && base.length > suffix.length);
+  if (suffix) base = base.slice(0, -suffix.length);
+
+  return base;
+}
@@ -94,19 +94,8 @@ export class QuickAddComponent extends Component {
     this.#abortController = new AbortController();
 
     try {
-      const response = await fetch(productPageUrl, {
-        signal: this.#abortController.signal,
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch product page: HTTP error ${response.status}`);
-      }
-
-      const responseText = await response.text();
-      const html = new DOMParser().parseFromString(responseText, 'text/html');
-
       // Store the HTML for later use
-      this.#cachedProductHtml = html;
+      this.#cachedProductHtml = await fetchProductPage(productPageUrl, this.#abortController.signal);
     } catch (error) {
       if (error.name === 'AbortError') {
         return;
@@ -157,6 +146,25 @@ export class QuickAddComponent extends Component {
   }
 }
 
+/**
+ * Fetches and parses a product page
+ * @param {string} productPageUrl - The URL of the product page to fetch
+ * @param {AbortSignal} [signal] - The signal to abort the request
+ * @returns {Promise<Document>} The parsed product page
+ * @throws {Error} If the fetch request fails or returns a non-200 response
+ */
+export async function fetchProductPage(productPageUrl, signal) {
+  const response = await fetch(productPageUrl, { signal });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch product page: HTTP error ${response.status}`);
+  }
+
+  const responseText = await response.text();
+
+  return new DOMParser().parseFromString(responseText, 'text/html');
+}
+
 if (!customElements.get('quick-add-component')) {
   customElements.define('quick-add-component', QuickAddComponent);
 }
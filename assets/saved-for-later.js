@@ -0,0 +1,78 @@
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {number} variantId - The saved variant.
+ * @property {number} productId - The product of the variant.
+ * @property {string} url - The URL of the variant, e.g. `/products/shirt?variant=123`.
+ * @property {number} quantity - The quantity that was in the cart.
+ * @property {Record<string, string>} properties - The line item properties.
+ */
+
+/**
+ * Updates the items saved for later in localStorage, so they survive sessions.
+ */
+export class SavedForLater {
+  /** @static @constant {string} The key used to store the saved items in local storage */
+  static STORAGE_KEY = 'savedForLater';
+  /** @static @constant {number} The maximum number of items to store */
+  static #MAX_ITEMS = 20;
+
+  /**
+   * Saves an item. An item with the same variant and properties is replaced.
+   * @param {SavedItem} item - The item to save.
+   */
+  static addItem(item) {
+    const items = this.getItems().filter((savedItem) => !isSameItem(savedItem, item));
+
+    items.unshift(item);
+
+    this.#setItems(items.slice(0, this.#MAX_ITEMS));
+  }
+
+  /**
+   * Removes an item.
+   * @param {SavedItem} item - The item to remove.
+   */
+  static removeItem(item) {
+    this.#setItems(this.getItems().filter((savedItem) => !isSameItem(savedItem, item)));
+  }
+
+  /**
+   * Retrieves the items saved for later from local storage.
+   * @returns {SavedItem[]} The saved items, most recent first.
+   */
+  static getItems() {
+    try {
+      const items = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+      return Array.isArray(items) ? items : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {SavedItem[]} items - The items to store.
+   */
+  static #setItems(items) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(items));
+    } catch (error) {
+      // Storage can be full or disabled, the change then can't be saved.
+      console.error(error);
+      return;
+    }
+
+    document.dispatchEvent(new Event(ThemeEvents.savedForLaterUpdate));
+  }
+}
+
+/**
+ * Checks if two saved items are the same variant with the same properties.
+ * @param {SavedItem} a - The first item.
+ * @param {SavedItem} b - The second item.
+ * @returns {boolean}
+ */
+function isSameItem(a, b) {
+  return a.variantId === b.variantId && JSON.stringify(a.properties ?? {}) === JSON.stringify(b.properties ?? {});
+}
@@ -155,13 +155,30 @@ function containsShadowRoot(element) {
  * @typedef {(previousElement: HTMLElement, newElement: HTMLElement) => void} UpdateCallback
  */
 
+/**
+ * The sequence number of the last cart response morphed into each section
+ * @type {Map<string, number>}
+ */
+const appliedSequences = new Map();
+
 /**
  * Morphs the existing section element with the new section contents
  *
  * @param {string} sectionId - The section ID
  * @param {string} html - The new markup the section should morph into
+ * @param {Object} [options] - The options
+ * @param {number} [options.sequence] - The sequence number of the cart response the markup comes from. The markup
+ * is ignored if a newer response was already morphed into the section.
  */
-export async function morphSection(sectionId, html) {
+export async function morphSection(sectionId, html, options) {
+  const { sequence } = options ?? {};
+
+  if (sequence !== undefined) {
+    if (sequence < (appliedSequences.get(sectionId) ?? 0)) return;
+
+    appliedSequences.set(sectionId, sequence);
+  }
+
   const fragment = new DOMParser().parseFromString(html, 'text/html');
   const existingElement = document.getElementById(buildSectionSelector(sectionId));
   const newElement = fragment.getElementById(buildSectionSelector(sectionId));
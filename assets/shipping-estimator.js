@@ -0,0 +1,405 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { findCountryMatches, highlightMatches } from '@theme/localization';
+import { formatMoney, formatPrice, normalizeString } from '@theme/utilities';
+
+/**
+ * @typedef {Object} ShippingRate
+ * @property {string} name - The name of the rate.
+ * @property {string} presentment_name - The name shown to the shopper.
+ * @property {string} price - The price, as a decimal string in the presentment currency.
+ * @property {string} currency - The ISO currency code of the price.
+ * @property {string | null} delivery_range - The estimated delivery range, if the carrier provides one.
+ */
+
+/** @constant {number} The delay between two polls of the rates, in milliseconds */
+const POLL_INTERVAL = 500;
+
+/** @constant {number} How many times the rates are polled before giving up */
+const MAX_POLLS = 20;
+
+/**
+ * An error returned by the shipping rates endpoints, e.g. an invalid zip code.
+ */
+class ShippingRatesError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {Record<string, string[]>} [errors] - The errors by address field.
+   */
+  constructor(message, errors = {}) {
+    super(message);
+    this.name = 'ShippingRatesError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * A custom element that estimates the shipping rates of the cart for a country, province and zip code.
+ *
+ * The rates are computed asynchronously: they are requested from `/cart/prepare_shipping_rates.json`, then
+ * `/cart/async_shipping_rates.json` is polled until they are ready. A pending estimate is aborted, and shown rates
+ * are cleared, when the cart changes. The form and the rates are rendered client side, so the subtree is skipped
+ * when the cart section is morphed.
+ *
+ * @typedef {object} ShippingEstimatorRefs
+ * @property {HTMLInputElement} countrySearch - The combobox used to find a country.
+ * @property {HTMLInputElement} countryInput - The ISO code of the selected country.
+ * @property {HTMLElement} countryList - The list of countries.
+ * @property {HTMLElement[]} countryListItems - The countries.
+ * @property {HTMLElement} noResultsMessage - The message shown when no country matches the search.
+ * @property {HTMLInputElement} provinceInput - The province input.
+ * @property {HTMLInputElement} zipInput - The zip code input.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} status - The live region announcing the state of the estimate.
+ * @property {HTMLElement} results - The list the rates are rendered in.
+ *
+ * @extends {Component<ShippingEstimatorRefs>}
+ */
+class ShippingEstimatorComponent extends Component {
+  requiredRefs = [
+    'countrySearch',
+    'countryInput',
+    'countryList',
+    'countryListItems',
+    'noResultsMessage',
+    'provinceInput',
+    'zipInput',
+    'submitButton',
+    'status',
+    'results',
+  ];
+
+  /** @type {AbortController | null} */
+  #abortController = null;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribe(
+      (cart) => cart.items.map((item) => `${item.key}:${item.quantity}`).join(','),
+      (_, previousValue) => {
+        // The rates depend on the items, so they are stale as soon as the cart changes.
+        if (previousValue !== undefined) this.#reset();
+      }
+    );
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Filters the countries with the search value, like the localization form does.
+   */
+  filterCountries() {
+    const { countrySearch, countryList, countryListItems, noResultsMessage } = this.refs;
+    const searchValue = normalizeString(countrySearch.value);
+    let visibleCountries = 0;
+
+    for (const countryEl of countryListItems) {
+      const country = countryEl.querySelector('.country');
+      const matches = searchValue
+        ? findCountryMatches(searchValue, countryEl, { matchLabel: true, matchAlias: true, matchIso: true })
+        : { label: true };
+      const isMatch = Boolean(matches.label || matches.alias || matches.iso);
+
+      countryEl.hidden = !isMatch;
+      if (country) country.innerHTML = highlightMatches(country.textContent, searchValue);
+      if (isMatch) visibleCountries++;
+    }
+
+    noResultsMessage.hidden = visibleCountries > 0;
+    this.#toggleCountryList(true);
+    countryList.scrollTop = 0;
+  }
+
+  /**
+   * Selects the first country that matches the search when Enter is pressed, and closes the list on Escape.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleCountrySearchKeydown(event) {
+    if (event.key === 'Escape') {
+      this.#toggleCountryList(false);
+    } else if (event.key === 'Enter' && !this.refs.countryList.hidden) {
+      event.preventDefault();
+
+      const firstMatch = this.refs.countryListItems.find((countryEl) => !countryEl.hidden);
+      if (firstMatch?.dataset.value) this.selectCountry(firstMatch.dataset.value);
+    } else if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      this.#toggleCountryList(true);
+      this.refs.countryListItems.find((countryEl) => !countryEl.hidden)?.focus();
+    }
+  }
+
+  /**
+   * Moves the focus between the countries.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleCountryListKeydown(event) {
+    const countries = this.refs.countryListItems.filter((countryEl) => !countryEl.hidden);
+    const index = countries.findIndex((countryEl) => countryEl === document.activeElement);
+    const focusedCountry = countries[index];
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        countries[Math.min(index + 1, countries.length - 1)]?.focus();
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        if (index <= 0) {
+          this.refs.countrySearch.focus();
+        } else {
+          countries[index - 1]?.focus();
+        }
+        break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        if (focusedCountry?.dataset.value) this.selectCountry(focusedCountry.dataset.value);
+        break;
+      case 'Escape':
+        this.#toggleCountryList(false);
+        this.refs.countrySearch.focus();
+        break;
+    }
+  }
+
+  /**
+   * Closes the country list when the focus leaves it.
+   * @param {FocusEvent} event - The blur event.
+   */
+  handleCountryBlur(event) {
+    const { countrySearch, countryList } = this.refs;
+    const { relatedTarget } = event;
+
+    if (relatedTarget instanceof Node && (relatedTarget === countrySearch || countryList.contains(relatedTarget))) {
+      return;
+    }
+
+    this.#toggleCountryList(false);
+  }
+
+  /**
+   * Selects a country.
+   * @param {string} isoCode - The ISO code of the country.
+   */
+  selectCountry(isoCode) {
+    const { countrySearch, countryInput, countryListItems } = this.refs;
+    const selectedCountry = countryListItems.find((countryEl) => countryEl.dataset.value === isoCode);
+    if (!selectedCountry) return;
+
+    for (const countryEl of countryListItems) {
+      countryEl.setAttribute('aria-selected', String(countryEl === selectedCountry));
+    }
+
+    countryInput.value = isoCode;
+    countrySearch.value = selectedCountry.dataset.name ?? '';
+    countrySearch.setAttribute('aria-activedescendant', selectedCountry.id);
+
+    this.#toggleCountryList(false);
+    countrySearch.focus();
+  }
+
+  /**
+   * Estimates the shipping rates for the entered address.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  estimate = async (event) => {
+    event.preventDefault();
+
+    const { countryInput, provinceInput, zipInput, submitButton } = this.refs;
+
+    this.#abortController?.abort();
+    const abortController = new AbortController();
+    this.#abortController = abortController;
+
+    const params = new URLSearchParams({
+      'shipping_address[country]': countryInput.value,
+      'shipping_address[province]': provinceInput.value.trim(),
+      'shipping_address[zip]': zipInput.value.trim(),
+    });
+
+    this.refs.results.replaceChildren();
+    this.#setStatus(this.dataset.loadingText ?? '');
+    submitButton.setAttribute('aria-busy', 'true');
+
+    try {
+      const rates = await fetchShippingRates(params, abortController.signal);
+
+      this.#renderRates(rates);
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      if (error instanceof ShippingRatesError) {
+        this.#setStatus(this.#errorMessage(error), true);
+      } else {
+        console.error(error);
+        this.#setStatus(this.dataset.errorText ?? '', true);
+      }
+    } finally {
+      if (this.#abortController === abortController) {
+        this.#abortController = null;
+        submitButton.removeAttribute('aria-busy');
+      }
+    }
+  };
+
+  /**
+   * @param {ShippingRate[]} rates - The rates to render.
+   */
+  #renderRates(rates) {
+    const { results } = this.refs;
+
+    if (!rates.length) {
+      this.#setStatus(this.dataset.noRatesText ?? '');
+      return;
+    }
+
+    const items = rates.map((rate) => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      const price = document.createElement('span');
+      const cents = Math.round(Number(formatMoney(rate.price)) * 100);
+
+      item.className = 'shipping-estimator__rate';
+      name.className = 'shipping-estimator__rate-name';
+      price.className = 'shipping-estimator__rate-price';
+
+      name.textContent = rate.presentment_name || rate.name;
+      price.textContent = cents === 0 ? this.dataset.freeText ?? '' : formatPrice(cents, rate.currency);
+
+      item.append(name, price);
+      return item;
+    });
+
+    results.replaceChildren(...items);
+    this.#setStatus(this.dataset.ratesText ?? '');
+  }
+
+  /**
+   * Aborts a pending estimate and clears the rates.
+   */
+  #reset() {
+    this.#abortController?.abort();
+    this.#abortController = null;
+    this.refs.submitButton.removeAttribute('aria-busy');
+    this.refs.results.replaceChildren();
+    this.#setStatus('');
+  }
+
+  /**
+   * @param {boolean} open - Whether the country list is shown.
+   */
+  #toggleCountryList(open) {
+    this.refs.countryList.hidden = !open;
+    this.refs.countrySearch.setAttribute('aria-expanded', String(open));
+  }
+
+  /**
+   * @param {string} message - The message.
+   * @param {boolean} [isError] - Whether the message is an error.
+   */
+  #setStatus(message, isError = false) {
+    const { status } = this.refs;
+
+    status.textContent = message;
+    status.classList.toggle('shipping-estimator__status--error', isError);
+  }
+
+  /**
+   * Prefixes the field errors with the label of their field, e.g. `Zip code is not valid for Canada`.
+   * @param {ShippingRatesError} error - The error.
+   * @returns {string} The message.
+   */
+  #errorMessage(error) {
+    const messages = Object.entries(error.errors).flatMap(([field, fieldErrors]) => {
+      const label = this.querySelector(`[data-shipping-field="${field}"]`)?.textContent?.trim();
+
+      return fieldErrors.map((fieldError) => (label ? `${label} ${fieldError}` : fieldError));
+    });
+
+    return messages.join(' ') || error.message || this.dataset.errorText || '';
+  }
+}
+
+/**
+ * Requests the shipping rates of the cart for an address, then polls them until they are computed.
+ *
+ * @param {URLSearchParams} params - The address, as `shipping_address[...]` parameters.
+ * @param {AbortSignal} signal - Aborts the requests.
+ * @returns {Promise<ShippingRate[]>} The rates.
+ */
+async function fetchShippingRates(params, signal) {
+  const prepareResponse = await fetch(`${Theme.routes.cart_url}/prepare_shipping_rates.json?${params}`, {
+    method: 'POST',
+    signal,
+  });
+
+  if (!prepareResponse.ok) throw await toShippingRatesError(prepareResponse);
+
+  for (let poll = 0; poll < MAX_POLLS; poll++) {
+    const response = await fetch(`${Theme.routes.cart_url}/async_shipping_rates.json?${params}`, { signal });
+
+    if (!response.ok) throw await toShippingRatesError(response);
+
+    // 202 Accepted: the rates are still being computed.
+    if (response.status === 200) {
+      const data = await response.json();
+
+      if (data?.shipping_rates) return data.shipping_rates;
+    }
+
+    await wait(POLL_INTERVAL, signal);
+  }
+
+  throw new ShippingRatesError('');
+}
+
+/**
+ * @param {Response} response - An error response of the shipping rates endpoints.
+ * @returns {Promise<ShippingRatesError>} The error.
+ */
+async function toShippingRatesError(response) {
+  try {
+    const data = await response.json();
+
+    if (typeof data?.error === 'string') return new ShippingRatesError(data.error);
+    if (data && typeof data === 'object') return new ShippingRatesError('', data);
+  } catch (_) {
+    // The body isn't JSON, fall back to a generic message.
+  }
+
+  return new ShippingRatesError('');
+}
+
+/**
+ * @param {number} delay - The delay, in milliseconds.
+ * @param {AbortSignal} signal - Rejects the promise when aborted.
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(resolve, delay);
+
+    signal.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timeout);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+if (!customElements.get('shipping-estimator-component')) {
+  customElements.define('shipping-estimator-component', ShippingEstimatorComponent);
+}
@@ -248,6 +248,127 @@ export function formatMoney(value) {
   return valueWithNoSpaces;
 }
 
+/**
+ * Format an amount in cents as a price in the presentment currency, with the money format of the shop
+ * @param {number} cents The amount, in cents
+ * @param {string} [currency] The ISO currency code, defaults to the active currency
+ * @returns {string} The formatted price
+ */
+export function formatPrice(cents, currency = Shopify.currency.active) {
+  return applyMoneyFormat(cents, Theme.moneyFormat || '{{amount}}', currency);
+}
+
+/**
+ * Formats money with a money format, replicating the implementation of the `money` liquid filters
+ * @param {number} cents The amount, in cents
+ * @param {string} format The money format, e.g. `${{amount}}`
+ * @param {string} currency The ISO currency code
+ * @returns {string} The formatted money value
+ */
+export function applyMoneyFormat(cents, format, currency) {
+  return format.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    let thousandsSeparator = ',';
+    let decimalSeparator = '.';
+    let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+
+    if (placeholder === 'amount') {
+      // Check first since it's the most common, use defaults.
+    } else if (placeholder === 'amount_no_decimals') {
+      precision = 0;
+    } else if (placeholder === 'amount_with_comma_separator') {
+      thousandsSeparator = '.';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
+      // Weirdly, this is correct. It uses amount_with_comma_separator's
+      // behaviour but removes decimals, resulting in an unintuitive
+      // output that can't possibly include commas, despite the name.
+      thousandsSeparator = '.';
+      precision = 0;
+    } else if (placeholder === 'amount_no_decimals_with_space_separator') {
+      thousandsSeparator = ' ';
+      precision = 0;
+    } else if (placeholder === 'amount_with_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_with_period_and_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = '.';
+    } else if (placeholder === 'amount_with_apostrophe_separator') {
+      thousandsSeparator = "'";
+      decimalSeparator = '.';
+    }
+
+    return formatCents(cents, thousandsSeparator, decimalSeparator, precision);
+  });
+}
+
+/**
+ * Formats money in cents
+ * @param {number} moneyValue The money value in cents (hundredths of one major currency unit)
+ * @param {string} thousandsSeparator The thousands separator
+ * @param {string} decimalSeparator The decimal separator
+ * @param {number} precision The precision
+ * @returns {string} The formatted money value
+ */
+function formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
+  const roundedNumber = (moneyValue / 100).toFixed(precision);
+
+  let [a, b] = roundedNumber.split('.');
+  if (!a) a = '0';
+  if (!b) b = '';
+
+  // Split by groups of 3 digits
+  a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+
+  return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+}
+
+/**
+ * Gets the ids of the cart sections on the page, used to re-render them with the response of a cart request
+ * @returns {string[]} The section ids
+ */
+export function getCartSectionIds() {
+  /** @type {Set<string>} */
+  const sectionIds = new Set();
+
+  document.querySelectorAll('cart-items-component').forEach((item) => {
+    if (item instanceof HTMLElement && item.dataset.sectionId) {
+      sectionIds.add(item.dataset.sectionId);
+    }
+  });
+
+  return Array.from(sectionIds);
+}
+
+/**
+ * Adds or removes a reason for a control to be disabled, e.g. the checkout button. The control stays disabled while
+ * any reason applies, so features can disable it without enabling it over each other. The reasons are kept in the
+ * `data-disabled-reasons` attribute, which is also how server rendered markup gives its own reasons.
+ * @param {HTMLButtonElement | HTMLInputElement} control The control
+ * @param {string} reason The reason, e.g. `inventory`
+ * @param {boolean} applies Whether the reason applies
+ */
+export function toggleDisabledReason(control, reason, applies) {
+  const reasons = new Set((control.dataset.disabledReasons ?? '').split(' ').filter(Boolean));
+
+  if (applies) {
+    reasons.add(reason);
+  } else {
+    reasons.delete(reason);
+  }
+
+  if (reasons.size) {
+    control.dataset.disabledReasons = Array.from(reasons).join(' ');
+  } else {
+    delete control.dataset.disabledReasons;
+  }
+
+  control.disabled = reasons.size > 0;
+}
+
 /**
  * Check if the document is ready/loaded and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
@@ -565,6 +686,71 @@ export function changeMetaThemeColor(colorSourceElement) {
   if (metaThemeColor) metaThemeColor.setAttribute('content', containerStyle.backgroundColor);
 }
 
+/**
+ * A map that keeps the most recently used entries, up to a maximum size.
+ * @template K, V
+ */
+export class LRUCache {
+  /** @type {Map<K, V>} */
+  #entries = new Map();
+
+  /** @type {number} */
+  #maxSize;
+
+  /**
+   * @param {number} maxSize - The maximum number of entries. The least recently used entry is dropped beyond it.
+   */
+  constructor(maxSize) {
+    this.#maxSize = maxSize;
+  }
+
+  /**
+   * Gets an entry, and marks it as the most recently used.
+   * @param {K} key - The key.
+   * @returns {V | undefined} The value, if the entry exists.
+   */
+  get(key) {
+    if (!this.#entries.has(key)) return undefined;
+
+    const value = /** @type {V} */ (this.#entries.get(key));
+
+    this.#entries.delete(key);
+    this.#entries.set(key, value);
+
+    return value;
+  }
+
+  /**
+   * Sets an entry as the most recently used.
+   * @param {K} key - The key.
+   * @param {V} value - The value.
+   */
+  set(key, value) {
+    this.#entries.delete(key);
+    this.#entries.set(key, value);
+
+    if (this.#entries.size > this.#maxSize) {
+      const { value: leastRecentlyUsedKey } = this.#entries.keys().next();
+      this.#entries.delete(/** @type {K} */ (leastRecentlyUsedKey));
+    }
+  }
+
+  /**
+   * Deletes an entry.
+   * @param {K} key - The key.
+   */
+  delete(key) {
+    this.#entries.delete(key);
+  }
+
+  /**
+   * Deletes every entry.
+   */
+  clear() {
+    this.#entries.clear();
+  }
+}
+
 class Scheduler {
   /** @type {Set<() => void>} */
   #queue = new Set();
@@ -601,3 +787,56 @@ Theme.utilities = {
   ...Theme.utilities,
   scheduler: scheduler,
 };
+
+/**
+ * Default currency decimals used in most currenies
+ * @constant {number}
+ */
+const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal precision for currencies that have a non-default precision
+ * @type {Record<string, number>}
+ */
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  MRO: 5,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XAG: 0,
+  XAU: 0,
+  XBA: 0,
+  XBB: 0,
+  XBC: 0,
+  XBD: 0,
+  XDR: 0,
+  XOF: 0,
+  XPD: 0,
+  XPF: 0,
+  XPT: 0,
+  XSU: 0,
+  XTS: 0,
+  XUA: 0,
+};
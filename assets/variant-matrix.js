@@ -0,0 +1,259 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, CartErrorEvent, CartUpdateEvent } from '@theme/events';
+import { cartPerformance } from '@theme/performance';
+import { cartQueue, CartOfflineError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { getCartSectionIds } from '@theme/utilities';
+
+/**
+ * @typedef {import('@theme/cart-store').CartState} CartState
+ */
+
+/**
+ * @typedef {Object} MatrixRow
+ * @property {HTMLInputElement} input - The quantity input of the variant.
+ * @property {number} id - The variant id.
+ * @property {number} quantity - The quantity to add.
+ */
+
+/**
+ * @typedef {Object} MatrixResult
+ * @property {MatrixRow[]} added - The rows that were added to the cart.
+ * @property {Map<MatrixRow, string>} errors - The error of each row that couldn't be added.
+ * @property {Record<string, string> | undefined} sections - The cart sections rendered by the last successful request.
+ * @property {number | undefined} sequence - The sequence number of that request's response.
+ * @property {boolean} rejected - Whether the cart rejected the batch, which may have changed the cart anyway.
+ */
+
+/**
+ * A custom element that adds several variants of a product to the cart at once, e.g. a size × color grid.
+ *
+ * Every variant with a quantity is sent in a single `/cart/add.js` request. The cart can reject the batch after
+ * adding some of its variants, so the cart is fetched again and only the variants it didn't add are then added one by
+ * one. One sold out variant doesn't stop the others from being added, and the error is reported next to the variant
+ * it belongs to.
+ *
+ * @typedef {object} VariantMatrixRefs
+ * @property {HTMLInputElement[]} quantityInputs - The quantity input of each variant.
+ * @property {import('@theme/product-form').AddToCartComponent} addToCartButtonContainer - The add to cart button container.
+ * @property {HTMLElement} liveRegion - The live region.
+ *
+ * @extends Component<VariantMatrixRefs>
+ */
+class VariantMatrixComponent extends Component {
+  requiredRefs = ['quantityInputs', 'addToCartButtonContainer', 'liveRegion'];
+
+  /** @type {number | undefined} */
+  #liveRegionTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.updateTotal();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#liveRegionTimeout);
+  }
+
+  /**
+   * Enables the add to cart button once a quantity is entered.
+   */
+  updateTotal() {
+    const { addToCartButtonContainer } = this.refs;
+
+    if (this.#rows().length) {
+      addToCartButtonContainer.enable();
+    } else {
+      addToCartButtonContainer.disable();
+    }
+  }
+
+  /**
+   * Adds every variant with a quantity to the cart.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const rows = this.#rows();
+    if (!rows.length) return;
+
+    this.refs.quantityInputs.forEach((input) => this.#setRowError(input, ''));
+
+    // Quantities over the available inventory are reported right away, the rest of the batch is still added.
+    const validRows = rows.filter((row) => {
+      const max = Number(row.input.max);
+      if (!row.input.max || row.quantity <= max) return true;
+
+      this.#setRowError(row.input, (this.dataset.maxText ?? '').replace('[max]', String(max)));
+      return false;
+    });
+
+    try {
+      const { added, errors, sections, sequence, rejected } = await this.#addRows(validRows);
+
+      for (const [row, message] of errors) this.#setRowError(row.input, message);
+
+      if (errors.size) {
+        this.dispatchEvent(new CartErrorEvent(this.id, Array.from(errors.values()).join(' ')));
+      }
+
+      if (!added.length) {
+        // A rejected batch may have changed the cart anyway, so the cart sections render themselves again.
+        if (rejected) this.dispatchEvent(new CartUpdateEvent({}, this.id, { source: 'variant-matrix-component' }));
+        return;
+      }
+
+      for (const row of added) {
+        if (row.input.max) row.input.max = String(Math.max(Number(row.input.max) - row.quantity, 0));
+        row.input.value = '0';
+      }
+      this.updateTotal();
+
+      this.#announce(Theme.translations.added ?? '');
+
+      // Without sections, e.g. when only the rejected batch added rows, the cart sections render themselves again.
+      this.dispatchEvent(
+        new CartAddEvent({}, this.id, {
+          source: 'variant-matrix-component',
+          itemCount: added.reduce((total, row) => total + row.quantity, 0),
+          productId: this.dataset.productId,
+          sections,
+          sequence,
+        })
+      );
+    } catch (error) {
+      if (error instanceof CartOfflineError) {
+        // The batch is queued and will be added when the shopper is back online.
+        this.#announce(error.message);
+        return;
+      }
+
+      console.error(error);
+    } finally {
+      cartPerformance.measureFromEvent('add:user-action', event);
+    }
+  };
+
+  /**
+   * Gets the variants with a quantity.
+   * @returns {MatrixRow[]}
+   */
+  #rows() {
+    return this.refs.quantityInputs
+      .map((input) => ({ input, id: Number(input.dataset.variantId), quantity: Number(input.value) }))
+      .filter((row) => !row.input.disabled && row.id && row.quantity > 0);
+  }
+
+  /**
+   * Adds the rows in a single request. If the cart rejects the batch, the rows it added anyway are found in the
+   * fetched cart, and the others are added one by one.
+   * @param {MatrixRow[]} rows - The rows to add.
+   * @returns {Promise<MatrixResult>}
+   */
+  async #addRows(rows) {
+    /** @type {MatrixResult} */
+    const result = { added: [], errors: new Map(), sections: undefined, sequence: undefined, rejected: false };
+
+    if (!rows.length) return result;
+
+    const cartBefore = cartStore.state ?? (await cartStore.refresh());
+    const response = await this.#add(rows);
+
+    if (!response.status) {
+      return { ...result, added: rows, sections: response.sections, sequence: cartQueue.sequenceOf(response) };
+    }
+
+    const [firstRow] = rows;
+
+    if (rows.length === 1 && firstRow) {
+      result.errors.set(firstRow, response.description ?? response.message);
+      return result;
+    }
+
+    result.rejected = true;
+
+    const cartAfter = cartBefore ? await cartStore.refresh() : null;
+
+    // Without both carts it can't be told which rows were added, they're all sent again.
+    const remainingRows =
+      cartBefore && cartAfter
+        ? rows.filter((row) => variantQuantity(cartAfter, row.id) <= variantQuantity(cartBefore, row.id))
+        : rows;
+
+    result.added = rows.filter((row) => !remainingRows.includes(row));
+
+    for (const row of remainingRows) {
+      const rowResponse = await this.#add([row]);
+
+      if (rowResponse.status) {
+        result.errors.set(row, rowResponse.description ?? rowResponse.message);
+      } else {
+        result.added.push(row);
+        result.sections = rowResponse.sections;
+        result.sequence = cartQueue.sequenceOf(rowResponse);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {MatrixRow[]} rows - The rows to add.
+   * @returns {Promise<any>} The cart response.
+   */
+  #add(rows) {
+    return cartQueue.enqueue({
+      type: 'add',
+      body: {
+        items: rows.map(({ id, quantity }) => ({ id, quantity })),
+        sections: getCartSectionIds().join(','),
+        sections_url: window.location.pathname,
+      },
+      sourceId: this.id,
+    });
+  }
+
+  /**
+   * @param {HTMLInputElement} input - The quantity input of the row.
+   * @param {string} message - The error, or an empty string to clear it.
+   */
+  #setRowError(input, message) {
+    const error = input.closest('.variant-matrix__cell')?.querySelector('.variant-matrix__error');
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+    input.toggleAttribute('aria-invalid', Boolean(message));
+  }
+
+  /**
+   * @param {string} text - The text to announce.
+   */
+  #announce(text) {
+    const { liveRegion } = this.refs;
+
+    liveRegion.textContent = text;
+
+    clearTimeout(this.#liveRegionTimeout);
+    this.#liveRegionTimeout = setTimeout(() => {
+      liveRegion.textContent = '';
+    }, 5000);
+  }
+}
+
+if (!customElements.get('variant-matrix-component')) {
+  customElements.define('variant-matrix-component', VariantMatrixComponent);
+}
+
+/**
+ * @param {CartState} cart - The cart.
+ * @param {number} variantId - The variant id.
+ * @returns {number} The quantity of the variant in the cart, over all its lines.
+ */
+function variantQuantity(cart, variantId) {
+  return cart.items.reduce((total, item) => total + (item.variant_id === variantId ? item.quantity : 0), 0);
+}
@@ -1,11 +1,46 @@
 import { Component } from '@theme/component';
-import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
-import { requestYieldCallback } from '@theme/utilities';
+import { LRUCache, normalizeString, requestYieldCallback } from '@theme/utilities';
+
+/**
+ * The responses to the variant requests, by request URL, shared by every picker on the page.
+ * Prefetched responses are cached too, so a request already in flight is reused.
+ * @type {LRUCache<string, Promise<string>>}
+ */
+const responseCache = new LRUCache(20);
+
+// Inventory may have changed with the cart, so the availability in the cached responses can't be trusted anymore.
+document.addEventListener(ThemeEvents.cartUpdate, () => responseCache.clear());
+
+/**
+ * @typedef {Object} MatrixVariant
+ * @property {number} id - The variant id.
+ * @property {boolean} available - Whether the variant can be bought.
+ * @property {string[]} options - The option values of the variant, in the order of the product options.
+ */
+
+/**
+ * @typedef {'available' | 'unavailable' | 'nonexistent'} OptionValueState
+ */
+
+/**
+ * @typedef {HTMLInputElement | HTMLOptionElement} OptionValueElement
+ */
 
 /**
  * A custom element that manages a variant picker.
  *
+ * When the picker embeds the variants of the product in a `script[data-variant-matrix]` element, the state of every
+ * option value is computed locally from the current selection, so the picker updates right away. The server is only
+ * asked for the sections showing the selected variant, e.g. its price and media.
+ *
+ * Option values can be selected with readable URL parameters named after the options, e.g. `?color=Red&size=M`, in
+ * the language of the storefront. Unlike variant ids, they keep working when the product or its variants change.
+ * Only the main picker of the product page, marked with `data-url-sync`, reads them, so product cards and dialogs
+ * aren't changed. On the product page, the parameters are kept in sync with the selection, alongside the `variant`
+ * parameter.
+ *
  * @template {import('@theme/component').Refs} [Refs = {}]
  *
  * @extends Component<Refs>
@@ -14,13 +49,23 @@ export default class VariantPicker extends Component {
   /** @type {string | undefined} */
   #pendingRequestUrl;
 
-  /** @type {AbortController | undefined} */
-  #abortController;
+  /**
+   * Incremented on every request so an older response can't overwrite a newer one.
+   * @type {number}
+   */
+  #requestId = 0;
+
+  /**
+   * The variants embedded in the picker. Null when the picker doesn't embed them, undefined until they're read.
+   * @type {MatrixVariant[] | null | undefined}
+   */
+  #variants;
 
   connectedCallback() {
     super.connectedCallback();
 
     this.addEventListener('change', this.variantChanged.bind(this));
+    if (this.hasAttribute('data-url-sync')) this.#selectOptionsFromUrl();
   }
 
   /**
@@ -31,12 +76,10 @@ export default class VariantPicker extends Component {
     if (!(event.target instanceof HTMLElement)) return;
 
     this.updateSelectedOption(event.target);
+    this.#updateOptionValueStates();
     this.dispatchEvent(new VariantSelectedEvent({ id: event.target.dataset.optionValueId ?? '' }));
 
-    const isOnProductPage =
-      this.dataset.templateProductMatch === 'true' &&
-      !event.target.closest('product-card') &&
-      !event.target.closest('quick-add-dialog');
+    const isOnProductPage = this.#isOnProductPage(event.target);
 
     // Morph the entire main content for combined listings child products, because changing the product
     // might also change other sections depending on recommendations, metafields, etc.
@@ -44,7 +87,10 @@ export default class VariantPicker extends Component {
     const newUrl = event.target.dataset.connectedProductUrl;
     const loadsNewProduct = isOnProductPage && !!newUrl && newUrl !== currentUrl;
 
-    this.fetchUpdatedSection(this.buildRequestUrl(event.target), loadsNewProduct);
+    let requestUrl = this.buildRequestUrl(event.target);
+    if (isOnProductPage && !loadsNewProduct) requestUrl = this.#sectionRequestUrl(requestUrl);
+
+    this.fetchUpdatedSection(requestUrl, loadsNewProduct);
 
     const url = new URL(window.location.href);
 
@@ -63,6 +109,8 @@ export default class VariantPicker extends Component {
       } else {
         url.searchParams.delete('variant');
       }
+
+      this.#setOptionParams(url);
     }
 
     // Change the path if the option is connected to another product via combined listing.
@@ -77,6 +125,117 @@ export default class VariantPicker extends Component {
     }
   }
 
+  /**
+   * Selects the option values named in the URL parameters of the page, e.g. `?color=Red&size=M`.
+   * Option names and values are matched regardless of case and accents.
+   */
+  #selectOptionsFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+
+    /** @type {HTMLElement | undefined} */
+    let changedElement;
+
+    for (const option of this.querySelectorAll('[data-option-name]')) {
+      if (!(option instanceof HTMLElement)) continue;
+
+      const optionKey = toParamKey(option.dataset.optionName ?? '');
+      const param = Array.from(params).find(([key]) => toParamKey(key) === optionKey);
+      if (!optionKey || !param) continue;
+
+      const valueKey = toParamKey(param[1]);
+      const element = Array.from(option.querySelectorAll('input[data-input-id], option[data-input-id]')).find(
+        (element) =>
+          (element instanceof HTMLInputElement || element instanceof HTMLOptionElement) &&
+          toParamKey(element.value) === valueKey
+      );
+
+      if (!(element instanceof HTMLInputElement || element instanceof HTMLOptionElement) || isSelected(element)) {
+        continue;
+      }
+
+      if (element instanceof HTMLInputElement) {
+        element.checked = true;
+        changedElement = element;
+      } else if (element.parentElement instanceof HTMLSelectElement) {
+        element.parentElement.value = element.value;
+        this.updateSelectedOption(element.parentElement);
+        changedElement = element.parentElement;
+      }
+    }
+
+    // A single change renders the variant of every option selected above.
+    changedElement?.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * Writes the selected option values to readable URL parameters, e.g. `?color=Red&size=M`.
+   * @param {URL} url - The URL to update.
+   */
+  #setOptionParams(url) {
+    for (const option of this.querySelectorAll('[data-option-name]')) {
+      if (!(option instanceof HTMLElement)) continue;
+
+      const optionKey = toParamKey(option.dataset.optionName ?? '');
+      const selected = option.querySelector('option[selected], input:checked');
+      if (!optionKey || !(selected instanceof HTMLInputElement || selected instanceof HTMLOptionElement)) continue;
+
+      // Drop parameters of the same option spelled differently, e.g. `Color` for `color`.
+      for (const key of Array.from(url.searchParams.keys())) {
+        if (key !== optionKey && toParamKey(key) === optionKey) url.searchParams.delete(key);
+      }
+
+      url.searchParams.set(optionKey, selected.value);
+    }
+  }
+
+  /**
+   * Prefetches the variant of the option value the shopper is about to pick, i.e. the hovered or focused button or
+   * swatch, or the values next to the selected one of a focused dropdown.
+   * @param {Event} event - The pointerenter or focus event.
+   */
+  prefetchOptionValue(event) {
+    const { target } = event;
+
+    /** @type {(OptionValueElement | null | undefined)[]} */
+    let elements = [];
+
+    if (target instanceof HTMLSelectElement) {
+      elements = [target.options[target.selectedIndex - 1], target.options[target.selectedIndex + 1]];
+    } else if (target instanceof HTMLLabelElement) {
+      elements = [target.querySelector('input')];
+    } else if (target instanceof HTMLInputElement) {
+      elements = [target];
+    }
+
+    for (const element of elements) {
+      // Values of other products of a combined listing render the whole page, they aren't worth prefetching.
+      if (!element || isSelected(element) || element.dataset.connectedProductUrl) continue;
+
+      const { optionValueId } = element.dataset;
+      const position = element.dataset.inputId?.split('-')[0];
+      if (!optionValueId || !position) continue;
+
+      // The selected values, with the value of the same option swapped for the prefetched one
+      const optionValues = Array.from(
+        this.querySelectorAll('select option[selected], fieldset input:checked'),
+        (selected) => {
+          if (!(selected instanceof HTMLElement)) return '';
+
+          return selected.dataset.inputId?.split('-')[0] === position ? optionValueId : selected.dataset.optionValueId;
+        }
+      );
+
+      let requestUrl = this.#productRequestUrl(this.#pendingRequestUrl || this.dataset.productUrl, [
+        `option_values=${optionValues.join(',')}`,
+      ]);
+      if (this.#isOnProductPage(element)) requestUrl = this.#sectionRequestUrl(requestUrl);
+
+      this.#fetchResponse(requestUrl).catch(() => {
+        // no-op, the request is made again if the value is picked
+      });
+    }
+  }
+
   /**
    * Updates the selected option.
    * @param {string | Element} target - The target element.
@@ -118,7 +277,7 @@ export default class VariantPicker extends Component {
   buildRequestUrl(selectedOption, source = null, sourceSelectedOptionsValues = []) {
     // this productUrl and pendingRequestUrl will be useful for the support of combined listing. It is used when a user changes variant quickly and those products are using separate URLs (combined listing).
     // We create a new URL and abort the previous fetch request if it's still pending.
-    let productUrl = selectedOption.dataset.connectedProductUrl || this.#pendingRequestUrl || this.dataset.productUrl;
+    const productUrl = selectedOption.dataset.connectedProductUrl || this.#pendingRequestUrl || this.dataset.productUrl;
     this.#pendingRequestUrl = productUrl;
     const params = [];
 
@@ -132,6 +291,16 @@ export default class VariantPicker extends Component {
       }
     }
 
+    return this.#productRequestUrl(productUrl, params);
+  }
+
+  /**
+   * Builds the URL of a request for a product.
+   * @param {string | undefined} productUrl - The product URL.
+   * @param {string[]} params - The query parameters, e.g. `option_values=1,2`.
+   * @returns {string} The request URL.
+   */
+  #productRequestUrl(productUrl, params) {
     // If variant-picker is a child of quick-add-component or swatches-variant-picker-component, we need to append section_id=section-rendering-product-card to the URL
     if (this.closest('quick-add-component') || this.closest('swatches-variant-picker-component')) {
       if (productUrl?.includes('?')) {
@@ -142,19 +311,66 @@ export default class VariantPicker extends Component {
     return `${productUrl}?${params.join('&')}`;
   }
 
+  /**
+   * Limits a request of the main variant picker to the section of the picker. When the picker computes the option
+   * values locally, the rest of the page doesn't need to be rendered.
+   * @param {string} requestUrl - The request URL.
+   * @returns {string} The request URL.
+   */
+  #sectionRequestUrl(requestUrl) {
+    if (!this.#getVariants() || !this.dataset.sectionId) return requestUrl;
+
+    return `${requestUrl}&section_id=${this.dataset.sectionId}`;
+  }
+
+  /**
+   * Checks if an option value belongs to the main variant picker of the product page.
+   * @param {Element} element - The option value, or its dropdown.
+   * @returns {boolean} Whether the picker is the main one of the product page.
+   */
+  #isOnProductPage(element) {
+    return (
+      this.dataset.templateProductMatch === 'true' &&
+      !element.closest('product-card') &&
+      !element.closest('quick-add-dialog') &&
+      !element.closest('cart-variant-swap-dialog')
+    );
+  }
+
+  /**
+   * Fetches a response, or reuses the cached one.
+   * @param {string} requestUrl - The request URL.
+   * @returns {Promise<string>} The response text.
+   */
+  #fetchResponse(requestUrl) {
+    const cachedResponse = responseCache.get(requestUrl);
+    if (cachedResponse) return cachedResponse;
+
+    const response = fetch(requestUrl).then((response) => {
+      if (!response.ok) throw new Error(`Variant request failed with status ${response.status}`);
+
+      return response.text();
+    });
+
+    responseCache.set(requestUrl, response);
+    response.catch(() => responseCache.delete(requestUrl));
+
+    return response;
+  }
+
   /**
    * Fetches the updated section.
    * @param {string} requestUrl - The request URL.
    * @param {boolean} shouldMorphMain - If the entire main content should be morphed. By default, only the variant picker is morphed.
    */
   fetchUpdatedSection(requestUrl, shouldMorphMain = false) {
-    // We use this to abort the previous fetch request if it's still pending.
-    this.#abortController?.abort();
-    this.#abortController = new AbortController();
+    // Responses are cached, so previous requests still pending aren't aborted. Only the latest one is rendered.
+    const requestId = ++this.#requestId;
 
-    fetch(requestUrl, { signal: this.#abortController.signal })
-      .then((response) => response.text())
+    this.#fetchResponse(requestUrl)
       .then((responseText) => {
+        if (requestId !== this.#requestId) return;
+
         this.#pendingRequestUrl = undefined;
         const html = new DOMParser().parseFromString(responseText, 'text/html');
         // Defer is only useful for the initial rendering of the page. Remove it here.
@@ -181,11 +397,7 @@ export default class VariantPicker extends Component {
         }
       })
       .catch((error) => {
-        if (error.name === 'AbortError') {
-          console.warn('Fetch aborted by user');
-        } else {
-          console.error(error);
-        }
+        console.error(error);
       });
   }
 
@@ -225,6 +437,9 @@ export default class VariantPicker extends Component {
 
     morph(this, newVariantPickerSource);
 
+    // A combined listing can switch to another product, with other variants
+    if (newProduct) this.#variants = undefined;
+
     return newProduct;
   }
 
@@ -243,6 +458,108 @@ export default class VariantPicker extends Component {
     morph(main, newMain);
   }
 
+  /**
+   * Reads the variants embedded in the picker.
+   * @returns {MatrixVariant[] | null} The variants, or null if the picker doesn't embed them.
+   */
+  #getVariants() {
+    if (this.#variants === undefined) {
+      const textContent = this.querySelector('script[data-variant-matrix]')?.textContent;
+
+      try {
+        this.#variants = textContent ? JSON.parse(textContent) : null;
+      } catch (error) {
+        console.error(error);
+        this.#variants = null;
+      }
+    }
+
+    return this.#variants ?? null;
+  }
+
+  /**
+   * Computes whether each option value leads to an available, unavailable or nonexistent variant when combined with
+   * the values selected for the other options, and updates the swatches, buttons and dropdown options to match.
+   */
+  #updateOptionValueStates() {
+    const variants = this.#getVariants();
+    if (!variants) return;
+
+    /** @type {OptionValueElement[][]} */
+    const optionValues = [];
+
+    for (const element of this.querySelectorAll('input[data-input-id], option[data-input-id]')) {
+      if (!(element instanceof HTMLInputElement || element instanceof HTMLOptionElement)) continue;
+
+      // The input id is `<option position>-<value index>`, with positions starting at 1.
+      const position = Number(element.dataset.inputId?.split('-')[0]);
+      if (!position) continue;
+
+      const values = optionValues[position - 1] ?? [];
+      values.push(element);
+      optionValues[position - 1] = values;
+    }
+
+    const selectedValues = optionValues.map((values) => values.find(isSelected)?.value);
+
+    optionValues.forEach((values, index) => {
+      for (const element of values) {
+        const combination = [...selectedValues];
+        combination[index] = element.value;
+
+        const variant = variants.find((variant) => variant.options.every((value, i) => value === combination[i]));
+
+        /** @type {OptionValueState} */
+        let state = 'nonexistent';
+        if (variant) state = variant.available ? 'available' : 'unavailable';
+
+        this.#setOptionValueState(element, state, variant);
+      }
+
+      const legendValue = values[0]?.closest('fieldset')?.querySelector('.variant-option__swatch-value');
+      if (legendValue) legendValue.textContent = selectedValues[index] ?? '';
+    });
+  }
+
+  /**
+   * Shows the state of an option value.
+   * @param {OptionValueElement} element - The radio button or dropdown option of the value.
+   * @param {OptionValueState} state - The state of the value.
+   * @param {MatrixVariant | undefined} variant - The variant the value leads to, if any.
+   */
+  #setOptionValueState(element, state, variant) {
+    element.dataset.optionState = state;
+
+    if (variant) {
+      element.dataset.variantId = String(variant.id);
+    } else {
+      delete element.dataset.variantId;
+    }
+
+    if (element instanceof HTMLOptionElement) {
+      element.textContent =
+        state === 'available' ? element.value : `${element.value} - ${this.dataset.unavailableText ?? ''}`;
+      return;
+    }
+
+    element.dataset.optionAvailable = String(state === 'available');
+
+    if (state === 'available') {
+      element.removeAttribute('aria-disabled');
+    } else {
+      element.setAttribute('aria-disabled', 'true');
+    }
+
+    const label = element.closest('label');
+    const strikethrough = label?.querySelector(':scope > svg');
+
+    if (state === 'available') {
+      strikethrough?.remove();
+    } else if (label && !strikethrough) {
+      label.append(createStrikethrough());
+    }
+  }
+
   /**
    * Gets the selected option.
    * @returns {HTMLInputElement | HTMLOptionElement | undefined} The selected option.
@@ -291,6 +608,52 @@ export default class VariantPicker extends Component {
   }
 }
 
+/**
+ * Checks if an option value is selected.
+ * @param {OptionValueElement} element - The radio button or dropdown option of the value.
+ * @returns {boolean} Whether the value is selected.
+ */
+function isSelected(element) {
+  return element instanceof HTMLInputElement ? element.checked : element.selected;
+}
+
+/**
+ * Turns an option name or value into the form used to match URL parameters, e.g. `Couleur d'été` to `couleur-d-ete`.
+ * @param {string} text - The option name or value.
+ * @returns {string} The parameter key.
+ */
+function toParamKey(text) {
+  return normalizeString(text)
+    .trim()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Creates the line striking through unavailable option values, like the `strikethrough-variant` snippet.
+ * @returns {SVGSVGElement} The strikethrough.
+ */
+function createStrikethrough() {
+  const svgNamespace = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNamespace, 'svg');
+  const line = document.createElementNS(svgNamespace, 'line');
+
+  svg.setAttribute('width', '100%');
+  svg.setAttribute('height', '100%');
+  svg.setAttribute('viewBox', '0 0 100 46');
+  svg.setAttribute('preserveAspectRatio', 'xMidYMid slice');
+
+  line.setAttribute('x1', '100');
+  line.setAttribute('y1', '0');
+  line.setAttribute('x2', '0');
+  line.setAttribute('y2', '46');
+  line.setAttribute('vector-effect', 'non-scaling-stroke');
+
+  svg.append(line);
+
+  return svg;
+}
+
 if (!customElements.get('variant-picker')) {
   customElements.define('variant-picker', VariantPicker);
 }